@@ -0,0 +1,72 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+
+const MAX_SESSION_ID_LENGTH = 128;
+
+module.exports = async function trackErasureHandler(req, res) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', 'DELETE');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.TRACK_ADMIN_API_KEY) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_ADMIN_API_KEY' });
+  }
+
+  if (!isAuthorized(req, process.env.TRACK_ADMIN_API_KEY)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const sessionId = getSessionId(req);
+  if (sessionId == null) {
+    return res.status(400).json({ ok: false, error: '`sessionId` must be a non-empty string' });
+  }
+
+  const conn = await ensureConnection();
+  const deleted = await eraseSession(conn, sessionId);
+
+  return res.status(200).json({ ok: true, sessionId, deleted });
+};
+
+module.exports._test = {
+  eraseSession,
+  getSessionId
+};
+
+async function eraseSession(conn, sessionId) {
+  const pageViews = await conn.models.PageView.deleteMany({ sessionId });
+  const events = await conn.models.TrackEvent.deleteMany({ sessionId });
+  const sessions = await conn.models.Session.deleteMany({ sessionId });
+
+  return {
+    pageViews: pageViews.deletedCount,
+    events: events.deletedCount,
+    sessions: sessions.deletedCount
+  };
+}
+
+function getSessionId(req) {
+  const query = req.query || {};
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      body = null;
+    }
+  }
+
+  const sessionId = query.sessionId || (body && body.sessionId);
+  if (typeof sessionId !== 'string' || sessionId.length === 0 || sessionId.length > MAX_SESSION_ID_LENGTH) {
+    return null;
+  }
+
+  return sessionId;
+}
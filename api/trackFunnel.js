@@ -0,0 +1,105 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+const { ATTRIBUTION_MODELS, buildFunnelPipeline, formatFunnelReport, getFunnels } = require('../src/tracking/funnels');
+const { DEFAULT_SITE_ID, getSite, getSites } = require('../src/tracking/sites');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+module.exports = async function trackFunnelHandler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.TRACK_REPORT_API_KEY) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_REPORT_API_KEY' });
+  }
+
+  if (!isAuthorized(req, process.env.TRACK_REPORT_API_KEY)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const { params, error } = parseFunnelQuery(req.query || {}, getFunnels(), new Date());
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  // Funnels need per-session data, so they only cover page views that haven't
+  // been compacted into daily rollups yet
+  const conn = await ensureConnection();
+  const pipeline = buildFunnelPipeline(
+    params.funnel,
+    params,
+    conn.models.TrackEvent.collection.collectionName,
+    conn.models.Session.collection.collectionName
+  );
+  const rows = await conn.models.PageView.aggregate(pipeline).allowDiskUse(true);
+
+  return res.status(200).json({
+    ok: true,
+    site: params.siteId,
+    funnel: params.funnel.name,
+    attribution: params.attribution,
+    range: {
+      from: params.from.toISOString(),
+      to: params.to.toISOString(),
+      includeBots: params.includeBots
+    },
+    ...formatFunnelReport(params.funnel, rows, params.limit)
+  });
+};
+
+module.exports._test = {
+  parseFunnelQuery
+};
+
+function parseFunnelQuery(query, funnels, now) {
+  const name = query.funnel || funnels[0].name;
+  const funnel = funnels.find(funnel => funnel.name === name);
+  if (funnel == null) {
+    return { error: `Unknown funnel "${name}", must be one of: ${funnels.map(funnel => funnel.name).join(', ')}` };
+  }
+
+  const siteId = query.site || DEFAULT_SITE_ID;
+  if (getSite(siteId) == null) {
+    return { error: `Unknown site "${siteId}", must be one of: ${getSites().map(site => site.id).join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: '`from` and `to` must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: '`from` must be before `to`' };
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `\`limit\` must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const attribution = query.attribution || 'session';
+  if (!ATTRIBUTION_MODELS.includes(attribution)) {
+    return { error: `\`attribution\` must be one of: ${ATTRIBUTION_MODELS.join(', ')}` };
+  }
+
+  return {
+    params: { siteId, funnel, from, to, limit, attribution, includeBots: query.includeBots === 'true' }
+  };
+}
@@ -0,0 +1,161 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+const { DEFAULT_SITE_ID, getSite, getSites, siteFilter } = require('../src/tracking/sites');
+
+// The tracker sends a heartbeat at least every 15 seconds, whatever
+// `heartbeatIntervalMs` a site configures, so a page view that missed three in
+// a row is gone. Pages that get hidden or closed say so in
+// their latest flush right away.
+const ACTIVE_WINDOW_MS = 45 * 1000;
+// Reasons of flushes that end a page view. Hidden pages send a final flush
+// too, but come back with a `visibility_visible` one when the visitor returns,
+// so `isFinal` alone would drop them from the stream for good. The page view
+// that follows a route change starts with a `route_start` flush.
+const ENDED_REASONS = ['beforeunload', 'pagehide', 'route_change'];
+const POLL_INTERVAL_MS = 5 * 1000;
+// Ends the stream before the function's `maxDuration` in vercel.json. The
+// `retry` field tells clients to reconnect almost immediately.
+const STREAM_DURATION_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 1000;
+const MAX_ACTIVE_PAGE_VIEWS = 500;
+const ACTIVE_PROJECTION = {
+  pageViewId: 1,
+  path: 1,
+  pageType: 1,
+  referrer: 1,
+  elapsedMs: 1,
+  firstSeenAt: 1,
+  lastSeenAt: 1,
+  'requestMeta.ipGeolocation.country': 1
+};
+
+// Streams the page views currently open in a browser as server-sent events.
+// Every poll sends an `active` event with the full list when it changed since
+// the last one, and a comment otherwise so proxies don't time the stream out.
+// `EventSource` can't send the `Authorization` header, so dashboards read the
+// stream with `fetch()` or an SSE client that supports headers.
+module.exports = async function trackLiveHandler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.TRACK_REPORT_API_KEY) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_REPORT_API_KEY' });
+  }
+
+  if (!isAuthorized(req, process.env.TRACK_REPORT_API_KEY)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const { params, error } = parseLiveQuery(req.query || {});
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const conn = await ensureConnection();
+  await streamActivePageViews(conn.models.PageView, res, params);
+};
+
+module.exports._test = {
+  buildActiveFilter,
+  formatActivePageViews,
+  parseLiveQuery
+};
+
+function parseLiveQuery(query) {
+  const siteId = query.site || DEFAULT_SITE_ID;
+  if (getSite(siteId) == null) {
+    return { error: `Unknown site "${siteId}", must be one of: ${getSites().map(site => site.id).join(', ')}` };
+  }
+
+  return {
+    params: { siteId, includeBots: query.includeBots === 'true' }
+  };
+}
+
+async function streamActivePageViews(PageView, res, params) {
+  let isClosed = false;
+  const closed = new Promise(resolve => res.on('close', resolve)).then(() => {
+    isClosed = true;
+  });
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const deadline = Date.now() + STREAM_DURATION_MS;
+  let lastData = null;
+  while (!isClosed) {
+    const now = new Date();
+    const pageViews = await PageView.find(buildActiveFilter(params, now), ACTIVE_PROJECTION, {
+      sort: { lastSeenAt: -1 },
+      limit: MAX_ACTIVE_PAGE_VIEWS
+    });
+    if (isClosed) {
+      break;
+    }
+
+    const data = JSON.stringify(formatActivePageViews(pageViews));
+    if (data === lastData) {
+      res.write(': no changes\n\n');
+    } else {
+      res.write(`event: active\ndata: ${data}\n\n`);
+      lastData = data;
+    }
+
+    if (Date.now() + POLL_INTERVAL_MS >= deadline) {
+      break;
+    }
+    await waitOrClose(POLL_INTERVAL_MS, closed);
+  }
+
+  res.end();
+}
+
+function buildActiveFilter(params, now) {
+  const filter = {
+    siteId: siteFilter(params.siteId),
+    lastSeenAt: { $gte: new Date(now.getTime() - ACTIVE_WINDOW_MS) },
+    visibilityState: { $ne: 'hidden' },
+    reason: { $nin: ENDED_REASONS }
+  };
+  if (!params.includeBots) {
+    filter.isBot = { $ne: true };
+  }
+  return filter;
+}
+
+function formatActivePageViews(pageViews) {
+  return {
+    activePageViews: pageViews.length,
+    pageViews: pageViews.map(pageView => ({
+      pageViewId: pageView.pageViewId,
+      path: pageView.path,
+      pageType: pageView.pageType,
+      country: (pageView.requestMeta && pageView.requestMeta.ipGeolocation && pageView.requestMeta.ipGeolocation.country) || null,
+      referrer: pageView.referrer || null,
+      elapsedMs: pageView.elapsedMs || 0,
+      firstSeenAt: new Date(pageView.firstSeenAt).toISOString(),
+      lastSeenAt: new Date(pageView.lastSeenAt).toISOString()
+    }))
+  };
+}
+
+function waitOrClose(ms, closed) {
+  let timer = null;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return Promise.race([timeout, closed]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,496 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+const {
+  DAY_MS,
+  SCROLL_DEPTH_BOUNDARIES,
+  getRetentionCutoff,
+  referrerHostExpression,
+  startOfUtcDay
+} = require('../src/tracking/retention');
+const { DEFAULT_SITE_ID, getSite, getSites, siteFilter } = require('../src/tracking/sites');
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const INTERVALS = ['day', 'week'];
+const WEB_VITALS = ['lcpMs', 'cls', 'inpMs', 'fcpMs', 'ttfbMs'];
+// What MongoDB versions before 7.0 answer to `$percentile`
+const UNSUPPORTED_OPERATOR_ERROR_CODES = [15952, 168];
+
+module.exports = async function trackReportHandler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.TRACK_REPORT_API_KEY) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_REPORT_API_KEY' });
+  }
+
+  if (!isAuthorized(req, process.env.TRACK_REPORT_API_KEY)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const now = new Date();
+  const { params, error } = parseReportQuery(req.query || {}, now);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const conn = await ensureConnection();
+  const [result] = await conn.models.PageView
+    .aggregate(buildReportPipeline(params))
+    .allowDiskUse(true);
+  const webVitals = await getWebVitals(conn.models.PageView, params);
+
+  // Page views older than the retention period only exist as daily rollups.
+  // Days that haven't been compacted yet are still covered by the raw query.
+  const rollupRange = getRollupRange(params, getRetentionCutoff(now));
+  let rollupResult = null;
+  if (rollupRange != null) {
+    [rollupResult] = await conn.models.DailyPageStats
+      .aggregate(buildRollupPipeline(params, rollupRange))
+      .allowDiskUse(true);
+  }
+
+  const report = formatReport({ ...mergeRollupResult(result, rollupResult, params), webVitals }, params);
+  return res.status(200).json({ ok: true, ...report });
+};
+
+module.exports._test = {
+  buildReportPipeline,
+  buildRollupPipeline,
+  buildWebVitalsPipeline,
+  formatReport,
+  getRollupRange,
+  mergeRollupResult,
+  parseReportQuery
+};
+
+function parseReportQuery(query, now) {
+  const siteId = query.site || DEFAULT_SITE_ID;
+  if (getSite(siteId) == null) {
+    return { error: `Unknown site "${siteId}", must be one of: ${getSites().map(site => site.id).join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: '`from` and `to` must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: '`from` must be before `to`' };
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `\`interval\` must be one of: ${INTERVALS.join(', ')}` };
+  }
+
+  const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `\`limit\` must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  const pageType = typeof query.pageType === 'string' && query.pageType.length > 0
+    ? query.pageType
+    : null;
+  const includeBots = query.includeBots === 'true';
+
+  return {
+    params: { siteId, from, to, interval, limit, pageType, includeBots }
+  };
+}
+
+function buildPageViewMatch(params) {
+  const match = { siteId: siteFilter(params.siteId), firstSeenAt: { $gte: params.from, $lt: params.to } };
+  if (params.pageType) {
+    match.pageType = params.pageType;
+  }
+  if (!params.includeBots) {
+    match.isBot = { $ne: true };
+  }
+  return match;
+}
+
+function buildReportPipeline(params) {
+  return [
+    { $match: buildPageViewMatch(params) },
+    { $addFields: { referrerHost: referrerHostExpression() } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              pageViews: { $sum: 1 },
+              sessions: { $addToSet: '$sessionId' },
+              avgElapsedMs: { $avg: '$elapsedMs' },
+              ...averageEngagedMs(),
+              avgMaxScrollDepthPercent: { $avg: '$maxScrollDepthPercent' }
+            }
+          },
+          countUniqueSessions()
+        ],
+        series: [
+          {
+            $group: {
+              _id: dateBucket('$firstSeenAt', params.interval),
+              pageViews: { $sum: 1 },
+              sessions: { $addToSet: '$sessionId' },
+              avgElapsedMs: { $avg: '$elapsedMs' },
+              ...averageEngagedMs()
+            }
+          },
+          countUniqueSessions(),
+          { $sort: { _id: 1 } }
+        ],
+        scrollDepth: [
+          {
+            $bucket: {
+              groupBy: '$maxScrollDepthPercent',
+              boundaries: SCROLL_DEPTH_BOUNDARIES,
+              default: 'unknown',
+              output: { pageViews: { $sum: 1 } }
+            }
+          }
+        ],
+        topPaths: topValues('path', params.limit),
+        topReferrers: topValues('referrerHost', params.limit),
+        topCampaigns: topValues('utm.utm_campaign', params.limit),
+        topCountries: topValues('requestMeta.ipGeolocation.country', params.limit)
+      }
+    }
+  ];
+}
+
+// `$avg` skips page views without engaged time, and `engagedPageViews` is the
+// count it averaged over, for weighting it against rollups
+function averageEngagedMs() {
+  return {
+    avgEngagedMs: { $avg: '$engagedMs' },
+    engagedPageViews: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$engagedMs', null] }, null] }, 0, 1] } }
+  };
+}
+
+// Web vitals run separately from the rest of the report, since `$percentile`
+// needs MongoDB 7.0. On older servers the report comes back with `webVitals`
+// set to null rather than failing as a whole.
+async function getWebVitals(PageView, params) {
+  try {
+    return await PageView.aggregate(buildWebVitalsPipeline(params)).allowDiskUse(true);
+  } catch (err) {
+    if (UNSUPPORTED_OPERATOR_ERROR_CODES.includes(err.code)) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// p75 of each web vital for the paths with the most measured page views.
+// `$percentile` skips page views missing a metric.
+function buildWebVitalsPipeline(params) {
+  const percentiles = {};
+  for (const name of WEB_VITALS) {
+    percentiles[name] = { $percentile: { input: `$webVitals.${name}`, p: [0.75], method: 'approximate' } };
+  }
+
+  return [
+    { $match: { ...buildPageViewMatch(params), 'webVitals.navigationType': { $ne: null } } },
+    {
+      $group: {
+        _id: '$path',
+        pageViews: { $sum: 1 },
+        ...percentiles
+      }
+    },
+    { $sort: { pageViews: -1, _id: 1 } },
+    { $limit: params.limit }
+  ];
+}
+
+// Rollups only have day granularity, so a range that starts mid-day includes
+// that whole day.
+function getRollupRange(params, cutoff) {
+  if (cutoff == null) {
+    return null;
+  }
+  const from = startOfUtcDay(params.from);
+  const to = params.to < cutoff ? params.to : cutoff;
+  return from < to ? { from, to } : null;
+}
+
+// Produces the same facets as `buildReportPipeline()`, except averages come
+// back as totals so `mergeRollupResult()` can weight them.
+function buildRollupPipeline(params, range) {
+  const match = { siteId: siteFilter(params.siteId), day: { $gte: range.from, $lt: range.to } };
+  if (params.pageType) {
+    match.pageType = params.pageType;
+  }
+  if (!params.includeBots) {
+    match.isBot = { $ne: true };
+  }
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              pageViews: { $sum: '$pageViews' },
+              uniqueSessions: { $sum: '$sessions' },
+              elapsedMsTotal: { $sum: '$elapsedMsTotal' },
+              engagedMsTotal: { $sum: '$engagedMsTotal' },
+              engagedPageViews: { $sum: '$engagedPageViews' },
+              scrollDepthTotal: { $sum: '$scrollDepthTotal' }
+            }
+          }
+        ],
+        series: [
+          {
+            $group: {
+              _id: dateBucket('$day', params.interval),
+              pageViews: { $sum: '$pageViews' },
+              uniqueSessions: { $sum: '$sessions' },
+              elapsedMsTotal: { $sum: '$elapsedMsTotal' },
+              engagedMsTotal: { $sum: '$engagedMsTotal' },
+              engagedPageViews: { $sum: '$engagedPageViews' }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        scrollDepth: [
+          { $project: { buckets: { $objectToArray: '$scrollDepth' } } },
+          { $unwind: '$buckets' },
+          { $group: { _id: '$buckets.k', pageViews: { $sum: '$buckets.v' } } }
+        ],
+        topPaths: topRollupValues('path', params.limit),
+        topReferrers: topRollupValues('referrerDomain', params.limit),
+        topCampaigns: topRollupValues('utmCampaign', params.limit),
+        topCountries: topRollupValues('country', params.limit)
+      }
+    }
+  ];
+}
+
+function dateBucket(date, interval) {
+  const bucket = { date, unit: interval, timezone: 'UTC' };
+  if (interval === 'week') {
+    bucket.startOfWeek = 'monday';
+  }
+  return { $dateTrunc: bucket };
+}
+
+function topValues(field, limit) {
+  return [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: `$${field}`,
+        pageViews: { $sum: 1 },
+        sessions: { $addToSet: '$sessionId' }
+      }
+    },
+    countUniqueSessions(),
+    { $sort: { pageViews: -1, _id: 1 } },
+    { $limit: limit }
+  ];
+}
+
+function topRollupValues(field, limit) {
+  return [
+    { $match: { [field]: { $ne: '' } } },
+    {
+      $group: {
+        _id: `$${field}`,
+        pageViews: { $sum: '$pageViews' },
+        uniqueSessions: { $sum: '$sessions' }
+      }
+    },
+    { $sort: { pageViews: -1, _id: 1 } },
+    { $limit: limit }
+  ];
+}
+
+function countUniqueSessions() {
+  return {
+    $set: {
+      uniqueSessions: { $size: { $setDifference: ['$sessions', [null]] } },
+      sessions: '$$REMOVE'
+    }
+  };
+}
+
+// Unique sessions can't be deduplicated across rollups, so they're summed and
+// overcount sessions that span several pages or days. Rollups don't keep web
+// vitals, since percentiles can't be merged, so those only cover raw page views.
+function mergeRollupResult(result, rollupResult, params) {
+  result = result || {};
+  if (rollupResult == null) {
+    return result;
+  }
+
+  const totals = (result.totals || [])[0] || {};
+  const rollupTotals = (rollupResult.totals || [])[0] || {};
+  const pageViews = (totals.pageViews || 0) + (rollupTotals.pageViews || 0);
+
+  const series = new Map();
+  for (const row of result.series || []) {
+    series.set(new Date(row._id).getTime(), { ...row });
+  }
+  for (const row of rollupResult.series || []) {
+    const key = new Date(row._id).getTime();
+    const existing = series.get(key) || {
+      _id: row._id,
+      pageViews: 0,
+      uniqueSessions: 0,
+      avgElapsedMs: 0,
+      avgEngagedMs: null,
+      engagedPageViews: 0
+    };
+    series.set(key, {
+      _id: existing._id,
+      pageViews: existing.pageViews + row.pageViews,
+      uniqueSessions: existing.uniqueSessions + row.uniqueSessions,
+      avgElapsedMs: weightedAverage(existing.avgElapsedMs, existing.pageViews, row.elapsedMsTotal, row.pageViews),
+      avgEngagedMs: weightedAverage(existing.avgEngagedMs, existing.engagedPageViews, row.engagedMsTotal, row.engagedPageViews),
+      engagedPageViews: (existing.engagedPageViews || 0) + (row.engagedPageViews || 0)
+    });
+  }
+
+  const scrollDepth = new Map((result.scrollDepth || []).map(row => [row._id, row.pageViews]));
+  for (const row of rollupResult.scrollDepth || []) {
+    const id = row._id === 'unknown' ? row._id : Number(row._id);
+    if (row.pageViews > 0) {
+      scrollDepth.set(id, (scrollDepth.get(id) || 0) + row.pageViews);
+    }
+  }
+
+  return {
+    totals: pageViews === 0 ? [] : [{
+      _id: null,
+      pageViews,
+      uniqueSessions: (totals.uniqueSessions || 0) + (rollupTotals.uniqueSessions || 0),
+      avgElapsedMs: weightedAverage(totals.avgElapsedMs, totals.pageViews, rollupTotals.elapsedMsTotal, rollupTotals.pageViews),
+      avgEngagedMs: weightedAverage(
+        totals.avgEngagedMs,
+        totals.engagedPageViews,
+        rollupTotals.engagedMsTotal,
+        rollupTotals.engagedPageViews
+      ),
+      avgMaxScrollDepthPercent: weightedAverage(
+        totals.avgMaxScrollDepthPercent,
+        totals.pageViews,
+        rollupTotals.scrollDepthTotal,
+        rollupTotals.pageViews
+      )
+    }],
+    series: Array.from(series.keys()).sort((a, b) => a - b).map(key => series.get(key)),
+    scrollDepth: SCROLL_DEPTH_BOUNDARIES.slice(0, -1).concat('unknown')
+      .filter(id => scrollDepth.has(id))
+      .map(id => ({ _id: id, pageViews: scrollDepth.get(id) })),
+    topPaths: mergeTopValues(result.topPaths, rollupResult.topPaths, params.limit),
+    topReferrers: mergeTopValues(result.topReferrers, rollupResult.topReferrers, params.limit),
+    topCampaigns: mergeTopValues(result.topCampaigns, rollupResult.topCampaigns, params.limit),
+    topCountries: mergeTopValues(result.topCountries, rollupResult.topCountries, params.limit)
+  };
+}
+
+function mergeTopValues(rows, rollupRows, limit) {
+  const merged = new Map();
+  for (const row of (rows || []).concat(rollupRows || [])) {
+    const existing = merged.get(row._id) || { _id: row._id, pageViews: 0, uniqueSessions: 0 };
+    existing.pageViews += row.pageViews;
+    existing.uniqueSessions += row.uniqueSessions;
+    merged.set(row._id, existing);
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.pageViews - a.pageViews || (a._id < b._id ? -1 : a._id > b._id ? 1 : 0))
+    .slice(0, limit);
+}
+
+function weightedAverage(average, count, rollupTotal, rollupCount) {
+  const total = (Number.isFinite(average) ? average * (count || 0) : 0) + (rollupTotal || 0);
+  const totalCount = (count || 0) + (rollupCount || 0);
+  return totalCount === 0 ? null : total / totalCount;
+}
+
+function formatReport(result, params) {
+  result = result || {};
+  const totals = (result.totals || [])[0] || {};
+
+  return {
+    site: params.siteId,
+    range: {
+      from: params.from.toISOString(),
+      to: params.to.toISOString(),
+      interval: params.interval,
+      pageType: params.pageType,
+      includeBots: params.includeBots
+    },
+    totals: {
+      pageViews: totals.pageViews || 0,
+      uniqueSessions: totals.uniqueSessions || 0,
+      avgElapsedMs: roundOrZero(totals.avgElapsedMs),
+      avgEngagedMs: roundOrZero(totals.avgEngagedMs),
+      avgMaxScrollDepthPercent: roundOrZero(totals.avgMaxScrollDepthPercent)
+    },
+    series: (result.series || []).map(row => ({
+      start: new Date(row._id).toISOString(),
+      pageViews: row.pageViews,
+      uniqueSessions: row.uniqueSessions,
+      avgElapsedMs: roundOrZero(row.avgElapsedMs),
+      avgEngagedMs: roundOrZero(row.avgEngagedMs)
+    })),
+    scrollDepth: (result.scrollDepth || []).map(row => ({
+      minPercent: row._id,
+      pageViews: row.pageViews
+    })),
+    topPaths: formatTopValues(result.topPaths),
+    topReferrers: formatTopValues(result.topReferrers),
+    topCampaigns: formatTopValues(result.topCampaigns),
+    topCountries: formatTopValues(result.topCountries),
+    webVitals: result.webVitals == null ? null : result.webVitals.map(row => ({
+      path: row._id,
+      pageViews: row.pageViews,
+      p75: {
+        lcpMs: roundOrNull(row.lcpMs[0]),
+        cls: Number.isFinite(row.cls[0]) ? Math.round(row.cls[0] * 1000) / 1000 : null,
+        inpMs: roundOrNull(row.inpMs[0]),
+        fcpMs: roundOrNull(row.fcpMs[0]),
+        ttfbMs: roundOrNull(row.ttfbMs[0])
+      }
+    }))
+  };
+}
+
+function formatTopValues(rows) {
+  return (rows || []).map(row => ({
+    value: row._id,
+    pageViews: row.pageViews,
+    uniqueSessions: row.uniqueSessions
+  }));
+}
+
+function roundOrZero(value) {
+  return Number.isFinite(value) ? Math.round(value) : 0;
+}
+
+function roundOrNull(value) {
+  return Number.isFinite(value) ? Math.round(value) : null;
+}
@@ -0,0 +1,36 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+const { compactPageViews } = require('../src/tracking/retention');
+
+// Runs daily as a Vercel cron job, which calls this endpoint with
+// `Authorization: Bearer ${CRON_SECRET}`.
+module.exports = async function trackRetentionHandler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.CRON_SECRET) {
+    return res.status(500).json({ ok: false, error: 'Missing CRON_SECRET' });
+  }
+
+  if (!isAuthorized(req, process.env.CRON_SECRET)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const conn = await ensureConnection();
+  const { cutoff, days } = await compactPageViews(conn, new Date());
+
+  return res.status(200).json({
+    ok: true,
+    cutoff: cutoff ? cutoff.toISOString() : null,
+    days
+  });
+};
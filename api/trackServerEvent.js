@@ -0,0 +1,76 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { isAuthorized } = require('../src/tracking/auth');
+const { recordServerEvents } = require('../src/tracking/events');
+const { validateServerEvent } = require('../src/tracking/validatePayload');
+
+const MAX_EVENTS = 50;
+
+// Records events that happen outside the browser, like a completed checkout
+// from a payment webhook. Accepts a single event or an array of events.
+// Deliveries are idempotent by `eventId`, so callers can safely retry.
+module.exports = async function trackServerEventHandler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ ok: false, error: 'Method Not Allowed' });
+  }
+
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (!process.env.TRACK_SERVER_EVENTS_API_KEY) {
+    return res.status(500).json({ ok: false, error: 'Missing TRACK_SERVER_EVENTS_API_KEY' });
+  }
+
+  if (!isAuthorized(req, process.env.TRACK_SERVER_EVENTS_API_KEY)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: 'Request body must be JSON' });
+    }
+  }
+
+  const isBatch = Array.isArray(body);
+  const events = isBatch ? body : [body];
+  if (events.length === 0) {
+    return res.status(400).json({ ok: false, error: 'Empty event batch' });
+  }
+  if (events.length > MAX_EVENTS) {
+    return res.status(413).json({ ok: false, error: `Event batch cannot contain more than ${MAX_EVENTS} events` });
+  }
+
+  const now = new Date();
+  const values = [];
+  const invalid = [];
+  events.forEach((event, index) => {
+    const { value, errors } = validateServerEvent(event, now);
+    if (errors.length > 0) {
+      invalid.push({ index, fields: errors });
+    }
+    values.push(value);
+  });
+  if (invalid.length > 0) {
+    return res.status(400).json({ ok: false, error: 'Invalid server event', events: invalid });
+  }
+
+  const eventIds = new Set(values.map(value => value.eventId));
+  if (eventIds.size !== values.length) {
+    return res.status(400).json({ ok: false, error: 'Duplicate `eventId` in batch' });
+  }
+
+  const conn = await ensureConnection();
+  const results = await recordServerEvents(conn, values);
+
+  if (!isBatch) {
+    return res.status(200).json({ ok: true, ...results[0] });
+  }
+  return res.status(200).json({ ok: true, results });
+};
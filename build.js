@@ -80,9 +80,27 @@ async function buildStudioFrontendDemo(apiUrl, demoName) {
     cp -r ./node_modules/@mongoosejs/studio/frontend/public/* ./public/${demoName}/
     `
   );
+  addTrackerToDemo(path.join(__dirname, 'public', demoName, 'index.html'));
   console.log(`Built ${demoName} demo frontend at /${demoName}`);
 }
 
+// The demos are Vue Router apps, so the tracker's history hooks turn each
+// route into its own page view
+function addTrackerToDemo(indexPath) {
+  const html = fs.readFileSync(indexPath, 'utf8');
+  if (html.includes('src="/tracking.js"')) {
+    return;
+  }
+
+  const tracker = `  <script defer src="/tracking.js"></script>
+    <script>
+      window.mongooseStudioTrackingQueue = window.mongooseStudioTrackingQueue || [];
+      window.mongooseStudioTrackingQueue.push({ type: 'setPageType', pageType: 'demo' });
+    </script>
+  </head>`;
+  fs.writeFileSync(indexPath, html.replace('</head>', tracker));
+}
+
 function buildChangelog() {
   const changelogDir = path.join(__dirname, 'src', 'changelog');
   if (!fs.existsSync(changelogDir)) {
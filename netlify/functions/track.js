@@ -0,0 +1,11 @@
+'use strict';
+
+const { fromNetlifyEvent, toNetlifyResponse } = require('../../src/tracking/adapters');
+const { handleTrackRequest } = require('../../src/tracking/track');
+
+module.exports = {
+  handler: async function trackHandler(event) {
+    const response = await handleTrackRequest(fromNetlifyEvent(event));
+    return toNetlifyResponse(response);
+  }
+};
@@ -1,29 +1,321 @@
 (function() {
-  const TRACK_ENDPOINT = '/api/track';
+  const CONFIG_KEY = 'mongooseStudioTrackerConfig';
+  const DEFAULT_HEARTBEAT_INTERVAL_MS = 15000;
+  const MIN_HEARTBEAT_INTERVAL_MS = 5000;
+  // The live stream drops page views that haven't flushed in 45 seconds, so
+  // longer intervals would make open pages flicker in and out of it
+  const MAX_HEARTBEAT_INTERVAL_MS = 15000;
+  const DEFAULT_IDLE_TIMEOUT_MS = 30000;
+  const MIN_IDLE_TIMEOUT_MS = 1000;
+  const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+  const MAX_DEBUG_ENTRIES = 20;
+  const CONFIG = readConfig();
+  const IS_CROSS_ORIGIN = new URL(CONFIG.endpoint, window.location.href).origin !== window.location.origin;
   const SESSION_STORAGE_KEY = 'mongooseStudioTrackerSessionId';
   const COMMAND_QUEUE_KEY = 'mongooseStudioTrackingQueue';
-  const PAGE_VIEW_ID = generateId();
-  const PAGE_START = Date.now();
-  const CUSTOM_EVENTS = [];
-  const ONCE_KEYS = new Set();
-  const URL_PARAMS = new URLSearchParams(window.location.search);
-  const UTM = {};
+  const OUTBOX_STORAGE_KEY = 'mongooseStudioTrackerOutbox';
+  const CONSENT_STORAGE_KEY = 'mongooseStudioTrackerConsent';
+  const VISITOR_STORAGE_KEY = 'mongooseStudioTrackerVisitor';
+  // "granted" links page views into a session and retries failed sends.
+  // "essential" and no choice yet only send anonymous page counts, the same
+  // data the server keeps for DNT visitors. "denied" sends nothing.
+  const CONSENT_STATES = ['granted', 'denied', 'essential'];
+  const ESSENTIAL_UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign'];
   const TRACKED_UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
-  let sequence = 0;
-  let maxScrollDepth = 0;
+  const SEND_BATCH_DELAY_MS = 1000;
+  const MAX_BATCH_SIZE = 20;
+  // Matches the server's limits, which reject the whole payload otherwise
+  const MAX_CUSTOM_EVENTS = 100;
+  const MAX_EVENT_PROPERTIES = 25;
+  const MAX_PROPERTY_LENGTH = 256;
+  const MAX_PROPERTY_STRING_LENGTH = 512;
+  const MAX_PROPERTY_KEY_LENGTH = 64;
+  const MAX_PROPERTY_DEPTH = 3;
+  const MAX_PROPERTY_ARRAY_LENGTH = 25;
+  const PAGE_TYPES = ['page', 'home', 'pricing', 'content', 'docs', 'changelog', 'start', 'buy', 'login', 'account', 'demo'];
+  const MAX_PATH_LENGTH = 2048;
+  const MAX_URL_LENGTH = 4096;
+  const MAX_TITLE_LENGTH = 512;
+  const MAX_UTM_VALUE_LENGTH = 256;
+  const EVENT_NAME_REGEX = /^[A-Za-z0-9_.:-]{1,64}$/;
+  const PROPERTY_KEY_REGEX = /^[a-z0-9_]{1,64}$/;
+  const COPY_BUTTON_SELECTOR = '[id^="copy-"], [data-copy-key]';
+  // A page reports each distinct error once, and at most 10 of them, so a
+  // loop that keeps throwing can't flood the endpoint
+  const MAX_CLIENT_ERRORS = 10;
+  const MAX_ERROR_MESSAGE_LENGTH = 1024;
+  const MAX_ERROR_STACK_LENGTH = 4096;
+  const STACK_LOCATION_REGEX = /(https?:\/\/[^\s()]+?):(\d+):(\d+)/;
+  const STACK_URL_QUERY_REGEX = /(https?:\/\/[^\s()?#]*)[?#][^\s()]*?(?=:\d+:\d+|[\s)]|$)/gm;
+  const SEND_QUEUE = [];
+  // Payloads that failed to send wait in `localStorage` and are retried with
+  // exponential backoff, on the next page load and when the browser comes back
+  // online. Anything older than a day or past the newest 50 is dropped.
+  const OUTBOX_MAX_ITEMS = 50;
+  const OUTBOX_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+  const OUTBOX_BASE_BACKOFF_MS = 2000;
+  const OUTBOX_MAX_BACKOFF_MS = 5 * 60 * 1000;
+  const OUTBOX_DRAIN_DELAY_MS = 3000;
+  // Other tabs skip entries a tab is currently sending
+  const OUTBOX_LEASE_MS = 30000;
+  // Layout shifts less than a second apart, within 5 seconds, add up into one
+  // window, and CLS is the largest window. INP is roughly the 98th percentile
+  // interaction, so only the slowest few need to be kept.
+  const LAYOUT_SHIFT_GAP_MS = 1000;
+  const LAYOUT_SHIFT_WINDOW_MS = 5000;
+  const MAX_SLOW_INTERACTIONS = 10;
+  const NAVIGATION_ENTRY = (window.performance && performance.getEntriesByType && performance.getEntriesByType('navigation')[0]) || null;
+  let outboxTimer = null;
+  let isDrainingOutbox = false;
   let latestReason = 'init';
   let lastFlushAt = 0;
   let flushTimer = null;
+  let sendTimer = null;
   let config = { pageType: 'page' };
 
-  for (const key of TRACKED_UTM_KEYS) {
-    const value = URL_PARAMS.get(key);
-    if (value) {
-      UTM[key] = value;
+  let consent = readConsent();
+  let isNewSession = false;
+  let sessionId = consent === 'granted' ? getOrCreateSessionId() : null;
+  let pageView = startPageView(document.referrer || null, getNavigationType());
+  let visitor = consent === 'granted' ? getOrCreateVisitor() : null;
+  // LCP, FCP and TTFB describe loading the document, so they belong to the
+  // first page view even after SPA route changes start new ones
+  const documentPageView = pageView;
+  let firstHiddenAt = document.visibilityState === 'hidden' ? 0 : Infinity;
+  // Visitors and sessions are sampled as a whole when there is one, page loads
+  // otherwise
+  const pageSample = Math.random();
+  let debugList = null;
+
+  // Options come from `data-*` attributes on the script tag, e.g.
+  // `<script src="/tracking.js" data-site-id="mongoosejs" data-allowed-hosts="mongoosejs.com,*.vercel.app">`,
+  // or from a `window.mongooseStudioTrackerConfig` object defined before the
+  // script, which wins. Pages on hosts that aren't allowed send nothing.
+  function readConfig() {
+    const data = (document.currentScript && document.currentScript.dataset) || {};
+    const options = window[CONFIG_KEY] || {};
+    const get = key => {
+      const value = options[key] != null ? options[key] : data[key];
+      return value === '' ? null : value;
+    };
+
+    const allowedHosts = get('allowedHosts');
+    const heartbeatIntervalMs = Number(get('heartbeatIntervalMs'));
+    const idleTimeoutMs = Number(get('idleTimeoutMs'));
+    const sampleRate = get('sampleRate') == null ? 1 : Number(get('sampleRate'));
+    return {
+      siteId: get('siteId') || 'mongoosestudio',
+      endpoint: get('endpoint') || '/api/track',
+      allowedHosts: allowedHosts == null
+        ? ['mongoosestudio.app']
+        : (Array.isArray(allowedHosts) ? allowedHosts : String(allowedHosts).split(','))
+          .map(host => String(host).trim())
+          .filter(Boolean),
+      debug: get('debug') === true || get('debug') === 'true',
+      persistentVisitor: get('persistentVisitor') !== false && get('persistentVisitor') !== 'false',
+      heartbeatIntervalMs: heartbeatIntervalMs >= MIN_HEARTBEAT_INTERVAL_MS
+        ? Math.min(heartbeatIntervalMs, MAX_HEARTBEAT_INTERVAL_MS)
+        : DEFAULT_HEARTBEAT_INTERVAL_MS,
+      idleTimeoutMs: idleTimeoutMs >= MIN_IDLE_TIMEOUT_MS ? idleTimeoutMs : DEFAULT_IDLE_TIMEOUT_MS,
+      sampleRate: sampleRate >= 0 && sampleRate <= 1 ? sampleRate : 1
+    };
+  }
+
+  // `*.vercel.app` matches any preview deployment, `*` matches every host
+  function isAllowedHost() {
+    const host = window.location.host;
+    return CONFIG.allowedHosts.some(allowed => {
+      return allowed === '*' || allowed === host || (allowed.startsWith('*.') && host.endsWith(allowed.slice(1)));
+    });
+  }
+
+  function isSampledIn() {
+    if (CONFIG.sampleRate >= 1) {
+      return true;
+    }
+    const id = visitor ? visitor.id : sessionId;
+    return (id ? hashToUnitInterval(id) : pageSample) < CONFIG.sampleRate;
+  }
+
+  function hashToUnitInterval(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; ++i) {
+      hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+    }
+    return hash / 4294967296;
+  }
+
+  // Lists outgoing payloads in a corner of the page, newest first. Each entry
+  // expands to the full JSON.
+  function debugPayloads(payloads, status) {
+    if (!CONFIG.debug) {
+      return;
+    }
+    console.log('TRACK', status, payloads);
+    if (debugList == null) {
+      const overlay = document.createElement('div');
+      overlay.setAttribute('data-tracker-debug', '');
+      overlay.style.cssText = 'position:fixed;left:8px;bottom:8px;z-index:2147483647;width:360px;max-height:40vh;overflow:auto;' +
+        'padding:8px;border-radius:6px;background:rgba(17,24,39,.92);color:#f9fafb;font:11px/1.4 ui-monospace,monospace;';
+      overlay.textContent = `tracker: ${CONFIG.siteId} -> ${CONFIG.endpoint}`;
+      debugList = document.createElement('div');
+      overlay.appendChild(debugList);
+      document.body.appendChild(overlay);
+    }
+
+    for (const payload of payloads) {
+      const entry = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${new Date().toLocaleTimeString()} ${status} ${payload.reason} #${payload.sequence} ${payload.path}`;
+      const json = document.createElement('pre');
+      json.style.cssText = 'white-space:pre-wrap;margin:4px 0;';
+      json.textContent = JSON.stringify(payload, null, 2);
+      entry.appendChild(summary);
+      entry.appendChild(json);
+      debugList.insertBefore(entry, debugList.firstChild);
+    }
+    while (debugList.childNodes.length > MAX_DEBUG_ENTRIES) {
+      debugList.removeChild(debugList.lastChild);
+    }
+  }
+
+  // Everything that belongs to one page view. Single-page apps start a new one
+  // on every route change, with the previous route as the referrer.
+  function startPageView(referrer, navigationType) {
+    const params = new URLSearchParams(window.location.search);
+    const utm = {};
+    for (const key of TRACKED_UTM_KEYS) {
+      const value = params.get(key);
+      if (value) {
+        utm[key] = value.slice(0, MAX_UTM_VALUE_LENGTH);
+      }
+    }
+
+    return {
+      id: generateId(),
+      startedAt: Date.now(),
+      path: getRoutePath().slice(0, MAX_PATH_LENGTH),
+      search: window.location.search.slice(0, MAX_PATH_LENGTH),
+      url: window.location.href.slice(0, MAX_URL_LENGTH),
+      referrer: referrer ? referrer.slice(0, MAX_URL_LENGTH) : null,
+      utm,
+      gclid: params.has('gclid') ? params.get('gclid').slice(0, MAX_UTM_VALUE_LENGTH) : null,
+      customEvents: [],
+      onceKeys: new Set(),
+      clientErrors: [],
+      clientErrorKeys: new Set(),
+      sequence: 0,
+      maxScrollDepth: 0,
+      engagedMs: 0,
+      engagedSince: isEngaged() ? Date.now() : null,
+      lastActivityAt: Date.now(),
+      webVitals: { lcpMs: null, cls: null, inpMs: null, fcpMs: null, ttfbMs: null, navigationType },
+      layoutShiftWindow: null,
+      interactionCount: 0,
+      slowInteractions: []
+    };
+  }
+
+  function getNavigationType() {
+    if (NAVIGATION_ENTRY == null) {
+      return null;
+    }
+    if (document.prerendering || NAVIGATION_ENTRY.activationStart > 0) {
+      return 'prerender';
+    }
+    return ['navigate', 'reload', 'back_forward'].includes(NAVIGATION_ENTRY.type) ? NAVIGATION_ENTRY.type : 'navigate';
+  }
+
+  // Prerendered pages measure from activation, when the visitor actually
+  // navigated, rather than from when the browser started loading them
+  function sinceActivation(time) {
+    const activationStart = (NAVIGATION_ENTRY && NAVIGATION_ENTRY.activationStart) || 0;
+    return Math.max(0, Math.round(time - activationStart));
+  }
+
+  function observeWebVitals() {
+    if (NAVIGATION_ENTRY != null && NAVIGATION_ENTRY.responseStart > 0) {
+      documentPageView.webVitals.ttfbMs = sinceActivation(NAVIGATION_ENTRY.responseStart);
+    }
+
+    observePerformance('paint', entry => {
+      if (entry.name === 'first-contentful-paint' && entry.startTime < firstHiddenAt) {
+        documentPageView.webVitals.fcpMs = sinceActivation(entry.startTime);
+      }
+    });
+    // Candidates keep coming until the first input. Ones rendered after the
+    // page was hidden don't count.
+    observePerformance('largest-contentful-paint', entry => {
+      if (entry.startTime < firstHiddenAt) {
+        documentPageView.webVitals.lcpMs = sinceActivation(entry.startTime);
+      }
+    });
+    observePerformance('layout-shift', entry => {
+      if (entry.hadRecentInput) {
+        return;
+      }
+      const shiftWindow = pageView.layoutShiftWindow;
+      if (shiftWindow != null &&
+          entry.startTime - shiftWindow.lastAt < LAYOUT_SHIFT_GAP_MS &&
+          entry.startTime - shiftWindow.firstAt < LAYOUT_SHIFT_WINDOW_MS) {
+        shiftWindow.value += entry.value;
+        shiftWindow.lastAt = entry.startTime;
+      } else {
+        pageView.layoutShiftWindow = { firstAt: entry.startTime, lastAt: entry.startTime, value: entry.value };
+      }
+      pageView.webVitals.cls = Math.max(pageView.webVitals.cls || 0, pageView.layoutShiftWindow.value);
+    });
+    // Every event of an interaction shares its `interactionId`, and the
+    // interaction takes as long as its slowest event
+    observePerformance('event', entry => {
+      if (!entry.interactionId) {
+        return;
+      }
+      const slowest = pageView.slowInteractions;
+      const existing = slowest.find(interaction => interaction.id === entry.interactionId);
+      if (existing != null) {
+        existing.duration = Math.max(existing.duration, entry.duration);
+      } else {
+        pageView.interactionCount += 1;
+        slowest.push({ id: entry.interactionId, duration: entry.duration });
+      }
+      slowest.sort((a, b) => b.duration - a.duration);
+      slowest.splice(MAX_SLOW_INTERACTIONS);
+      // Skips the slowest interaction for every 50, like the 98th percentile
+      const index = Math.min(slowest.length - 1, Math.floor(pageView.interactionCount / 50));
+      pageView.webVitals.inpMs = Math.round(slowest[index].duration);
+    }, { durationThreshold: 40 });
+    observePerformance('first-input', entry => {
+      if (pageView.webVitals.inpMs == null) {
+        pageView.webVitals.inpMs = Math.round(entry.duration);
+      }
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        firstHiddenAt = Math.min(firstHiddenAt, performance.now());
+      }
+    });
+  }
+
+  function observePerformance(type, callback, options) {
+    const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+    if (!supported || !supported.includes(type)) {
+      return;
+    }
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback))
+        .observe({ type, buffered: true, ...options });
+    } catch (err) {
+      // Older browsers only support `entryTypes`, which has no `buffered` flag
     }
   }
 
-  const sessionId = getOrCreateSessionId();
+  // Hash routes like `/imdb/#/model/Movie` are routes, `#pricing` anchors aren't
+  function getRoutePath() {
+    const hash = window.location.hash;
+    return window.location.pathname + (hash.startsWith('#/') ? hash : '');
+  }
 
   function getOrCreateSessionId() {
     try {
@@ -33,12 +325,94 @@
       }
       const created = generateId();
       window.sessionStorage.setItem(SESSION_STORAGE_KEY, created);
+      isNewSession = true;
       return created;
     } catch (err) {
       return generateId();
     }
   }
 
+  // The visitor record outlasts the tab's session in `localStorage`, unless
+  // `persistentVisitor` is turned off. Every new session counts as a visit,
+  // so a `visitCount` of 1 is a new visitor. The first touch is the page view
+  // that created the record.
+  function getOrCreateVisitor() {
+    if (!CONFIG.persistentVisitor) {
+      return null;
+    }
+
+    try {
+      let stored = null;
+      try {
+        stored = JSON.parse(window.localStorage.getItem(VISITOR_STORAGE_KEY));
+      } catch (err) {
+        // Replaced below
+      }
+      const visitor = stored && typeof stored.id === 'string' && Number.isInteger(stored.visitCount)
+        ? stored
+        : {
+          id: generateId(),
+          firstVisitAt: new Date().toISOString(),
+          visitCount: 0,
+          firstTouch: {
+            utm: pageView.utm,
+            referrer: toOrigin(pageView.referrer) === window.location.origin ? null : pageView.referrer,
+            gclid: pageView.gclid
+          }
+        };
+      if (isNewSession || visitor.visitCount === 0) {
+        visitor.visitCount += 1;
+        isNewSession = false;
+      }
+      window.localStorage.setItem(VISITOR_STORAGE_KEY, JSON.stringify(visitor));
+      return visitor;
+    } catch (err) {
+      // Without storage every page would look like a new visitor
+      return null;
+    }
+  }
+
+  function readConsent() {
+    try {
+      const stored = window.localStorage.getItem(CONSENT_STORAGE_KEY);
+      return CONSENT_STATES.includes(stored) ? stored : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function setConsent(state) {
+    if (!CONSENT_STATES.includes(state)) {
+      return false;
+    }
+    consent = state;
+    try {
+      window.localStorage.setItem(CONSENT_STORAGE_KEY, state);
+    } catch (err) {
+      // Without storage the choice only lasts for this page
+    }
+
+    if (state === 'granted') {
+      sessionId = getOrCreateSessionId();
+      visitor = getOrCreateVisitor();
+      return true;
+    }
+
+    sessionId = null;
+    visitor = null;
+    try {
+      window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+      window.localStorage.removeItem(VISITOR_STORAGE_KEY);
+      window.localStorage.removeItem(OUTBOX_STORAGE_KEY);
+    } catch (err) {
+      // Nothing was stored
+    }
+    if (state === 'denied') {
+      SEND_QUEUE.splice(0, SEND_QUEUE.length);
+    }
+    return true;
+  }
+
   function generateId() {
     if (window.crypto && window.crypto.randomUUID) {
       return window.crypto.randomUUID();
@@ -68,49 +442,179 @@
     return Math.min(100, Math.round(((scrollTop + viewportHeight) / scrollHeight) * 100));
   }
 
+  // Engaged time only runs while the page is visible and focused, and stops
+  // `idleTimeoutMs` after the last input or scroll. Idle time is settled
+  // lazily, so no timer has to be reset on every mouse move.
+  function isEngaged() {
+    return document.visibilityState === 'visible' && (!document.hasFocus || document.hasFocus());
+  }
+
+  function settleIdleTime(now) {
+    if (pageView.engagedSince != null && now - pageView.lastActivityAt > CONFIG.idleTimeoutMs) {
+      pauseEngagement(pageView.lastActivityAt + CONFIG.idleTimeoutMs);
+    }
+  }
+
+  // Stops at the idle timeout if the visitor went idle before the page was
+  // hidden or lost focus, the same as `settleIdleTime()` would
+  function pauseEngagement(at) {
+    if (pageView.engagedSince != null) {
+      const end = Math.min(at, pageView.lastActivityAt + CONFIG.idleTimeoutMs);
+      pageView.engagedMs += Math.max(0, end - pageView.engagedSince);
+      pageView.engagedSince = null;
+    }
+  }
+
+  function recordActivity() {
+    const now = Date.now();
+    settleIdleTime(now);
+    pageView.lastActivityAt = now;
+    if (pageView.engagedSince == null && isEngaged()) {
+      pageView.engagedSince = now;
+    }
+  }
+
+  function getEngagedMs() {
+    const now = Date.now();
+    settleIdleTime(now);
+    const running = pageView.engagedSince == null ? 0 : now - pageView.engagedSince;
+    return Math.round(pageView.engagedMs + running);
+  }
+
   function updateScrollDepth() {
-    maxScrollDepth = Math.max(maxScrollDepth, getScrollDepth());
+    pageView.maxScrollDepth = Math.max(pageView.maxScrollDepth, getScrollDepth());
   }
 
   function trackCustomEvent(name, properties = {}, options = {}) {
+    if (typeof name !== 'string' || !EVENT_NAME_REGEX.test(name)) {
+      return false;
+    }
     const onceKey = options.onceKey || null;
-    if (onceKey && ONCE_KEYS.has(onceKey)) {
+    if (onceKey && pageView.onceKeys.has(onceKey)) {
+      return false;
+    }
+    if (pageView.customEvents.length >= MAX_CUSTOM_EVENTS) {
       return false;
     }
     if (onceKey) {
-      ONCE_KEYS.add(onceKey);
+      pageView.onceKeys.add(onceKey);
     }
 
     updateScrollDepth();
-    CUSTOM_EVENTS.push({
+    pageView.customEvents.push({
       name,
-      properties,
-      atMs: Date.now() - PAGE_START
+      properties: properties != null && typeof properties === 'object' && !Array.isArray(properties)
+        ? cleanProperties(properties, 1)
+        : {},
+      atMs: Date.now() - pageView.startedAt
     });
 
     queueFlush('custom_event', 800);
     return true;
   }
 
+  // Leaves out whatever the server's `validateProperties()` would reject the
+  // payload for: keys that look like operators or paths, keys past the first
+  // 25, objects nested too deep, and values that aren't JSON
+  function cleanProperties(value, depth) {
+    if (value === null || typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : undefined;
+    }
+    if (typeof value === 'string') {
+      return value.slice(0, MAX_PROPERTY_STRING_LENGTH);
+    }
+    if (typeof value !== 'object' || depth > MAX_PROPERTY_DEPTH) {
+      return undefined;
+    }
+    if (Array.isArray(value)) {
+      return value.slice(0, MAX_PROPERTY_ARRAY_LENGTH).map(item => {
+        const cleaned = cleanProperties(item, depth + 1);
+        return cleaned === undefined ? null : cleaned;
+      });
+    }
+
+    const result = {};
+    let count = 0;
+    for (const key of Object.keys(value)) {
+      if (count >= MAX_EVENT_PROPERTIES) {
+        break;
+      }
+      if (key.length === 0 || key.length > MAX_PROPERTY_KEY_LENGTH || key.startsWith('$') || key.includes('.')) {
+        continue;
+      }
+      const cleaned = cleanProperties(value[key], depth + 1);
+      if (cleaned !== undefined) {
+        result[key] = cleaned;
+        ++count;
+      }
+    }
+    return result;
+  }
+
+  function trackClientError(type, message, stack, source, line, column) {
+    // Errors in cross-origin scripts served without CORS headers only say
+    // "Script error." and carry nothing worth grouping
+    if (!message || (message === 'Script error.' && !source)) {
+      return;
+    }
+    if (stack && (!source || line == null)) {
+      const location = STACK_LOCATION_REGEX.exec(stack);
+      if (location) {
+        source = location[1];
+        line = Number(location[2]);
+        column = Number(location[3]);
+      }
+    }
+
+    const key = [type, message, source, line, column].join('|');
+    if (pageView.clientErrorKeys.has(key) || pageView.clientErrors.length >= MAX_CLIENT_ERRORS) {
+      return;
+    }
+    pageView.clientErrorKeys.add(key);
+    pageView.clientErrors.push({
+      type,
+      message: String(message).slice(0, MAX_ERROR_MESSAGE_LENGTH),
+      // Query strings on script URLs can carry tokens
+      stack: stack ? String(stack).replace(STACK_URL_QUERY_REGEX, '$1').slice(0, MAX_ERROR_STACK_LENGTH) : null,
+      source: source ? String(source).replace(/[?#].*$/, '') : null,
+      line: Number.isInteger(line) && line >= 0 ? line : null,
+      column: Number.isInteger(column) && column >= 0 ? column : null,
+      atMs: Date.now() - pageView.startedAt
+    });
+    queueFlush('client_error', 2000);
+  }
+
+  // The location comes from the page view rather than `window.location`, which
+  // already points at the next route when a route change finalizes this one
   function buildPayload(reason, isFinal = false) {
     updateScrollDepth();
 
-    return {
+    const payload = {
       eventType: 'page_view',
-      pageViewId: PAGE_VIEW_ID,
+      siteId: CONFIG.siteId,
+      pageViewId: pageView.id,
       sessionId,
+      visitorId: visitor ? visitor.id : null,
+      firstVisitAt: visitor ? visitor.firstVisitAt : null,
+      visitCount: visitor ? visitor.visitCount : null,
+      firstTouch: visitor ? visitor.firstTouch : null,
       pageType: config.pageType,
-      path: window.location.pathname,
-      search: window.location.search,
-      url: window.location.href,
-      title: document.title,
-      referrer: document.referrer || null,
-      elapsedMs: Date.now() - PAGE_START,
-      maxScrollDepthPercent: maxScrollDepth,
-      utm: UTM,
-      gclid: URL_PARAMS.get('gclid'),
-      customEvents: CUSTOM_EVENTS,
-      sequence: ++sequence,
+      path: pageView.path,
+      search: pageView.search,
+      url: pageView.url,
+      title: document.title.slice(0, MAX_TITLE_LENGTH),
+      referrer: pageView.referrer,
+      elapsedMs: Date.now() - pageView.startedAt,
+      engagedMs: getEngagedMs(),
+      maxScrollDepthPercent: pageView.maxScrollDepth,
+      utm: pageView.utm,
+      gclid: pageView.gclid,
+      customEvents: pageView.customEvents,
+      clientErrors: pageView.clientErrors,
+      sequence: ++pageView.sequence,
       reason,
       isFinal,
       visibilityState: document.visibilityState,
@@ -118,29 +622,276 @@
         width: window.innerWidth || null,
         height: window.innerHeight || null
       },
+      webdriver: navigator.webdriver === true,
+      sampleRate: CONFIG.sampleRate,
+      consent: consent === 'granted' ? 'granted' : 'essential',
       timestamp: new Date().toISOString()
     };
+    if (isFinal) {
+      const cls = pageView.webVitals.cls;
+      payload.webVitals = { ...pageView.webVitals, cls: cls == null ? null : Math.round(cls * 10000) / 10000 };
+    }
+    return consent === 'granted' ? payload : toEssentialPayload(payload);
+  }
+
+  // Drops whatever could identify the visitor before it leaves the browser:
+  // the query string, click ids and the referrer's path
+  function toEssentialPayload(payload) {
+    const utm = {};
+    for (const key of ESSENTIAL_UTM_KEYS) {
+      if (payload.utm[key]) {
+        utm[key] = payload.utm[key];
+      }
+    }
+
+    return {
+      ...payload,
+      sessionId: null,
+      visitorId: null,
+      firstVisitAt: null,
+      visitCount: null,
+      firstTouch: null,
+      search: '',
+      url: payload.url.split(/[?#]/)[0],
+      referrer: toOrigin(payload.referrer),
+      utm,
+      gclid: null
+    };
+  }
+
+  function toOrigin(url) {
+    try {
+      return url ? new URL(url).origin : null;
+    } catch (err) {
+      return null;
+    }
   }
 
   function sendPayload(payload, useBeacon) {
+    const payloads = [].concat(payload);
     const body = JSON.stringify(payload);
 
-    if (window.location.host !== 'mongoosestudio.app') {
-      console.log('TRACK', payload);
+    if (consent === 'denied') {
+      return;
+    }
+    if (!isAllowedHost()) {
+      debugPayloads(payloads, 'skipped (host not allowed)');
+      return;
+    }
+    if (!isSampledIn()) {
+      debugPayloads(payloads, 'skipped (sampled out)');
       return;
     }
 
+    // Browsers refuse cross-origin beacons with a JSON content type, and the
+    // endpoint parses text bodies the same way. A beacon that was queued can't
+    // report whether it arrived, so only a refused one goes to the outbox.
     if (useBeacon && navigator.sendBeacon) {
-      return navigator.sendBeacon(TRACK_ENDPOINT, new Blob([body], { type: 'application/json' }));
+      const type = IS_CROSS_ORIGIN ? 'text/plain' : 'application/json';
+      const queued = navigator.sendBeacon(CONFIG.endpoint, new Blob([body], { type }));
+      debugPayloads(payloads, queued ? 'beacon' : 'beacon refused');
+      if (!queued) {
+        saveToOutbox(payloads);
+      }
+      return queued;
+    }
+
+    if (navigator.onLine === false) {
+      debugPayloads(payloads, 'offline');
+      saveToOutbox(payloads);
+      return;
     }
 
-    return fetch(TRACK_ENDPOINT, {
+    return postPayload(body, useBeacon).then(({ delivered, status }) => {
+      debugPayloads(payloads, describeResponse(delivered, status));
+      if (delivered) {
+        forgetDelivered(payloads);
+      } else {
+        saveToOutbox(payloads);
+      }
+      return delivered;
+    });
+  }
+
+  // `delivered` is false when the request is worth retrying. Payloads the
+  // server rejected as invalid would be rejected again, so they count as
+  // delivered. `status` is null when the request never got a response.
+  function postPayload(body, keepalive) {
+    return fetch(CONFIG.endpoint, {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body,
-      keepalive: useBeacon,
+      keepalive,
       credentials: 'same-origin'
-    }).catch(() => undefined);
+    }).then(
+      response => ({ delivered: response.ok || (response.status < 500 && response.status !== 429), status: response.status }),
+      () => ({ delivered: false, status: null })
+    );
+  }
+
+  function describeResponse(delivered, status) {
+    if (status == null) {
+      return 'failed (network error)';
+    }
+    if (status >= 200 && status < 300) {
+      return `sent (${status})`;
+    }
+    return `${delivered ? 'rejected' : 'failed'} (${status})`;
+  }
+
+  function readOutbox() {
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(OUTBOX_STORAGE_KEY) || '[]');
+      return Array.isArray(entries) ? entries.filter(entry => entry && entry.payload) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeOutbox(entries) {
+    const now = Date.now();
+    const kept = entries.filter(entry => now - entry.queuedAt < OUTBOX_MAX_AGE_MS).slice(-OUTBOX_MAX_ITEMS);
+    try {
+      if (kept.length === 0) {
+        window.localStorage.removeItem(OUTBOX_STORAGE_KEY);
+      } else {
+        window.localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(kept));
+      }
+    } catch (err) {
+      // Storage is full or disabled, the payloads are lost like before
+    }
+    return kept;
+  }
+
+  // Entries are keyed by page view and sequence. Payloads are full snapshots,
+  // so a newer sequence replaces an older one for the same page view and the
+  // server sees each update at most once.
+  function saveToOutbox(payloads) {
+    if (consent !== 'granted') {
+      return;
+    }
+    const now = Date.now();
+    let entries = readOutbox();
+    for (const payload of payloads) {
+      const existing = entries.find(entry => entry.payload.pageViewId === payload.pageViewId);
+      if (existing && existing.payload.sequence >= payload.sequence) {
+        continue;
+      }
+      entries = entries.filter(entry => entry !== existing);
+      entries.push({ key: getOutboxKey(payload), payload, queuedAt: now, attempts: 0, nextAttemptAt: now, leasedUntil: 0 });
+    }
+    scheduleOutboxDrain(writeOutbox(entries));
+  }
+
+  // A newer snapshot got through, so older ones still waiting are obsolete
+  function forgetDelivered(payloads) {
+    const entries = readOutbox();
+    const remaining = entries.filter(entry => !payloads.some(payload => {
+      return payload.pageViewId === entry.payload.pageViewId && payload.sequence >= entry.payload.sequence;
+    }));
+    if (remaining.length !== entries.length) {
+      writeOutbox(remaining);
+    }
+  }
+
+  function drainOutbox() {
+    if (outboxTimer) {
+      window.clearTimeout(outboxTimer);
+      outboxTimer = null;
+    }
+    if (isDrainingOutbox || consent !== 'granted' || navigator.onLine === false || !isAllowedHost()) {
+      return;
+    }
+
+    const now = Date.now();
+    const entries = readOutbox();
+    const due = entries
+      .filter(entry => entry.nextAttemptAt <= now && !(entry.leasedUntil > now))
+      .slice(0, MAX_BATCH_SIZE);
+    if (due.length === 0) {
+      scheduleOutboxDrain(writeOutbox(entries));
+      return;
+    }
+    for (const entry of due) {
+      entry.leasedUntil = now + OUTBOX_LEASE_MS;
+    }
+    writeOutbox(entries);
+
+    isDrainingOutbox = true;
+    const payloads = due.map(entry => entry.payload);
+    const sentKeys = new Set(due.map(entry => entry.key));
+    return postPayload(JSON.stringify(payloads.length === 1 ? payloads[0] : payloads), false).then(({ delivered, status }) => {
+      debugPayloads(payloads, `retry ${describeResponse(delivered, status)}`);
+      // Re-read, this tab or another one may have saved payloads meanwhile
+      const remaining = [];
+      for (const entry of readOutbox()) {
+        if (!sentKeys.has(entry.key)) {
+          remaining.push(entry);
+        } else if (!delivered) {
+          entry.attempts += 1;
+          entry.nextAttemptAt = Date.now() + getBackoffMs(entry.attempts);
+          entry.leasedUntil = 0;
+          remaining.push(entry);
+        }
+      }
+      isDrainingOutbox = false;
+      const kept = writeOutbox(remaining);
+      if (delivered) {
+        drainOutbox();
+      } else {
+        scheduleOutboxDrain(kept);
+      }
+    });
+  }
+
+  function scheduleOutboxDrain(entries) {
+    if (outboxTimer || entries.length === 0) {
+      return;
+    }
+    const nextAttemptAt = Math.min(...entries.map(entry => Math.max(entry.nextAttemptAt, entry.leasedUntil || 0)));
+    outboxTimer = window.setTimeout(drainOutbox, Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  // Jittered so tabs and visitors that failed together don't retry together
+  function getBackoffMs(attempts) {
+    const backoff = Math.min(OUTBOX_MAX_BACKOFF_MS, OUTBOX_BASE_BACKOFF_MS * Math.pow(2, attempts - 1));
+    return Math.round(backoff * (0.5 + Math.random() / 2));
+  }
+
+  function getOutboxKey(payload) {
+    return `${payload.pageViewId}:${payload.sequence}`;
+  }
+
+  // Payloads are full snapshots of a page view, so a newer payload for the same
+  // page view replaces any queued older one. Whatever is still queued goes out
+  // together as a single JSON array request.
+  function enqueuePayload(payload, immediate) {
+    const queuedIndex = SEND_QUEUE.findIndex(item => item.pageViewId === payload.pageViewId);
+    if (queuedIndex !== -1) {
+      SEND_QUEUE.splice(queuedIndex, 1);
+    }
+    SEND_QUEUE.push(payload);
+
+    if (immediate) {
+      return drainSendQueue(true);
+    }
+    if (!sendTimer) {
+      sendTimer = window.setTimeout(() => drainSendQueue(false), SEND_BATCH_DELAY_MS);
+    }
+  }
+
+  function drainSendQueue(useBeacon) {
+    if (sendTimer) {
+      window.clearTimeout(sendTimer);
+      sendTimer = null;
+    }
+
+    let result;
+    while (SEND_QUEUE.length > 0) {
+      const batch = SEND_QUEUE.splice(0, MAX_BATCH_SIZE);
+      result = sendPayload(batch.length === 1 ? batch[0] : batch, useBeacon);
+    }
+    return result;
   }
 
   function flush(options = {}) {
@@ -148,7 +899,7 @@
     const isFinal = options.isFinal === true;
     latestReason = reason;
     lastFlushAt = Date.now();
-    return sendPayload(buildPayload(reason, isFinal), isFinal);
+    return enqueuePayload(buildPayload(reason, isFinal), isFinal);
   }
 
   function queueFlush(reason, delay = 15000) {
@@ -163,6 +914,21 @@
   }
 
   updateScrollDepth();
+  observeWebVitals();
+  for (const type of ACTIVITY_EVENTS) {
+    window.addEventListener(type, recordActivity, { capture: true, passive: true });
+  }
+  window.addEventListener('focus', recordActivity);
+  window.addEventListener('blur', () => pauseEngagement(Date.now()));
+  window.addEventListener('error', event => {
+    const error = event.error;
+    trackClientError('error', event.message, error && error.stack, event.filename, event.lineno, event.colno);
+  });
+  window.addEventListener('unhandledrejection', event => {
+    const reason = event.reason;
+    const message = reason instanceof Error ? `${reason.name}: ${reason.message}` : String(reason);
+    trackClientError('unhandledrejection', message, reason && reason.stack, null, null, null);
+  });
   window.addEventListener('scroll', () => {
     updateScrollDepth();
     queueFlush('scroll');
@@ -171,33 +937,170 @@
   window.addEventListener('pagehide', () => flush({ reason: 'pagehide', isFinal: true }));
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden') {
+      pauseEngagement(Date.now());
       flush({ reason: 'visibility_hidden', isFinal: true });
       return;
     }
+    recordActivity();
     queueFlush('visibility_visible', 1000);
   });
 
+  // Skips the heartbeat when something else flushed during the last interval
   window.setInterval(() => {
-    if (Date.now() - lastFlushAt >= 14000) {
+    if (Date.now() - lastFlushAt >= CONFIG.heartbeatIntervalMs - 1000) {
       flush({ reason: 'heartbeat' });
     }
-  }, 15000);
+  }, CONFIG.heartbeatIntervalMs);
+
+  // Router state updates like saved scroll positions call `replaceState` with
+  // the same URL, so only a different route path or query counts as a change.
+  function handleRouteChange(isReplace) {
+    const path = getRoutePath();
+    if (path === pageView.path && window.location.search === pageView.search) {
+      return;
+    }
+
+    // A redirect before anything was sent replaces the route in place
+    if (isReplace && pageView.sequence === 0) {
+      pageView.path = path;
+      pageView.search = window.location.search;
+      pageView.url = window.location.href;
+      return;
+    }
+
+    flush({ reason: 'route_change', isFinal: true });
+    pageView = startPageView(pageView.url, 'route_change');
+    if (flushTimer) {
+      window.clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    // Not 'route_change', the live stream treats that reason as the end of a
+    // page view
+    queueFlush('route_start', 1200);
+  }
+
+  for (const method of ['pushState', 'replaceState']) {
+    const original = window.history[method];
+    window.history[method] = function(...args) {
+      const result = original.apply(this, args);
+      handleRouteChange(method === 'replaceState');
+      return result;
+    };
+  }
+  window.addEventListener('popstate', () => handleRouteChange(false));
+  window.addEventListener('hashchange', () => handleRouteChange(false));
+
+  // Delegated in the capture phase so it sees clicks on elements added later and
+  // clicks that page scripts stop from propagating. An element with
+  // `data-track-event="name"` sends that event with its other `data-track-*`
+  // attributes as properties, e.g. `data-track-plan="pro"` becomes `{ plan: 'pro' }`.
+  // Copy buttons and links to other hosts are tracked without any markup.
+  function handleClick(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    if (target == null) {
+      return;
+    }
+
+    const tagged = target.closest('[data-track-event]');
+    if (tagged) {
+      const name = tagged.getAttribute('data-track-event');
+      if (EVENT_NAME_REGEX.test(name)) {
+        trackCustomEvent(name, getTrackAttributes(tagged));
+      }
+      return;
+    }
+
+    const copyButton = target.closest(COPY_BUTTON_SELECTOR);
+    if (copyButton) {
+      // `copy-install-command` becomes `copy_install_command`. The copied value
+      // itself is never sent, it can be an API key.
+      const name = copyButton.id ? copyButton.id.replace(/-/g, '_') : 'copy';
+      trackCustomEvent(EVENT_NAME_REGEX.test(name) ? name : 'copy', {
+        label: truncate(copyButton.getAttribute('aria-label') || copyButton.textContent.trim())
+      });
+      return;
+    }
+
+    const link = target.closest('a[href]');
+    if (link) {
+      trackOutboundLink(link);
+    }
+  }
+
+  function trackOutboundLink(link) {
+    let url;
+    try {
+      url = new URL(link.href, window.location.href);
+    } catch (err) {
+      return;
+    }
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.host === window.location.host) {
+      return;
+    }
+
+    // Query strings are dropped, they can carry tokens or personal data
+    trackCustomEvent('outbound_link_click', {
+      host: url.host,
+      url: truncate(url.origin + url.pathname),
+      text: truncate(link.textContent.trim())
+    });
+  }
+
+  function getTrackAttributes(element) {
+    const properties = {};
+    let count = 0;
+    for (const attribute of Array.from(element.attributes)) {
+      if (!attribute.name.startsWith('data-track-') || attribute.name === 'data-track-event') {
+        continue;
+      }
+      const key = attribute.name.slice('data-track-'.length).replace(/-/g, '_');
+      if (!PROPERTY_KEY_REGEX.test(key)) {
+        continue;
+      }
+      if (++count > MAX_EVENT_PROPERTIES) {
+        break;
+      }
+      properties[key] = truncate(attribute.value);
+    }
+    return properties;
+  }
+
+  function truncate(value) {
+    return String(value || '').slice(0, MAX_PROPERTY_LENGTH);
+  }
+
+  document.addEventListener('click', handleClick, true);
+  // Middle clicks open links in a new tab without firing `click`
+  document.addEventListener('auxclick', event => {
+    if (event.button === 1) {
+      handleClick(event);
+    }
+  }, true);
 
   const publicApi = {
+    // Only the page types the server knows, anything else keeps the current one
     setPageType(pageType) {
-      if (typeof pageType === 'string' && pageType.length > 0) {
+      if (PAGE_TYPES.includes(pageType)) {
         config.pageType = pageType;
       }
     },
     flush,
     trackCustomEvent,
-    getMaxScrollDepth: () => maxScrollDepth,
-    getPageViewId: () => PAGE_VIEW_ID
+    setConsent,
+    // Null until the visitor makes a choice
+    getConsent: () => consent,
+    // Null until the visitor consents
+    getVisitorId: () => visitor ? visitor.id : null,
+    getMaxScrollDepth: () => pageView.maxScrollDepth,
+    getPageViewId: () => pageView.id
   };
 
   window.mongooseStudioTracker = publicApi;
   attachCommandQueue(publicApi);
+  attachConsentBanner(publicApi);
   queueFlush('page_load', 1200);
+  window.addEventListener('online', drainOutbox);
+  window.setTimeout(drainOutbox, OUTBOX_DRAIN_DELAY_MS);
 
   function attachCommandQueue(tracker) {
     const queue = window[COMMAND_QUEUE_KEY] = window[COMMAND_QUEUE_KEY] || [];
@@ -215,6 +1118,24 @@
     }
   }
 
+  // Pages include a hidden `[data-consent-banner]` with one
+  // `[data-consent-choice]` button per consent state. It's shown until the
+  // visitor picks one.
+  function attachConsentBanner(tracker) {
+    const banner = document.querySelector('[data-consent-banner]');
+    if (banner == null) {
+      return;
+    }
+
+    banner.hidden = tracker.getConsent() != null;
+    banner.addEventListener('click', event => {
+      const button = event.target instanceof Element ? event.target.closest('[data-consent-choice]') : null;
+      if (button && tracker.setConsent(button.getAttribute('data-consent-choice'))) {
+        banner.hidden = true;
+      }
+    });
+  }
+
   function processCommand(command, tracker) {
     if (command == null || typeof command !== 'object') {
       return;
@@ -234,6 +1155,11 @@
       tracker.flush(command.options || {});
       return;
     }
+
+    if (command.type === 'setConsent') {
+      tracker.setConsent(command.consent);
+      return;
+    }
   }
 })();
 
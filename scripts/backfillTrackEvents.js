@@ -0,0 +1,25 @@
+'use strict';
+
+const { ensureConnection } = require('../src/tracking/connection');
+const { backfillTrackEvents } = require('../src/tracking/events');
+
+// Copies custom events from page views stored before `TrackEvent` existed.
+// Run once after deploying, with `TRACK_MONGODB_CONNECTION_STRING` set.
+run().then(
+  () => process.exit(0),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
+
+async function run() {
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    throw new Error('Missing TRACK_MONGODB_CONNECTION_STRING');
+  }
+
+  const conn = await ensureConnection();
+  const { pageViews } = await backfillTrackEvents(conn);
+  console.log(`Backfilled custom events of ${pageViews} page views`);
+  await conn.close();
+}
@@ -0,0 +1,19 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One document per error a page view reported, keyed by the page view and the
+// error's position in its list, since the tracker resends every error on each
+// flush. Only inserted, and only kept for as long as a page can stay open.
+const clientErrorOccurrenceSchema = new mongoose.Schema({
+  siteId: { type: String, required: true },
+  fingerprint: { type: String, required: true },
+  pageViewId: { type: String, required: true },
+  index: { type: Number, required: true },
+  occurredAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+clientErrorOccurrenceSchema.index({ pageViewId: 1, index: 1 }, { unique: true });
+
+module.exports = clientErrorOccurrenceSchema;
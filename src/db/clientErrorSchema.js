@@ -0,0 +1,41 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const pathCountSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+const browserCountSchema = new mongoose.Schema({
+  browser: { type: String, required: true },
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+// One document per distinct JavaScript error on a site, grouped by
+// `fingerprint`. The message, stack and location are from the first
+// occurrence. Counts only grow for occurrences that `ClientErrorOccurrence`
+// hasn't seen yet, since the tracker resends a page's errors on every flush.
+const clientErrorSchema = new mongoose.Schema({
+  siteId: { type: String, required: true },
+  fingerprint: { type: String, required: true },
+  type: { type: String, enum: ['error', 'unhandledrejection'], required: true },
+  message: { type: String, default: null },
+  stack: { type: String, default: null },
+  source: { type: String, default: null },
+  line: { type: Number, default: null },
+  column: { type: Number, default: null },
+  count: { type: Number, default: 0 },
+  paths: { type: [pathCountSchema], default: [] },
+  browsers: { type: [browserCountSchema], default: [] },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, {
+  minimize: false,
+  timestamps: true
+});
+
+clientErrorSchema.index({ siteId: 1, fingerprint: 1 }, { unique: true });
+clientErrorSchema.index({ siteId: 1, lastSeenAt: -1 });
+
+module.exports = clientErrorSchema;
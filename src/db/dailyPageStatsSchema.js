@@ -0,0 +1,37 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Page views older than the retention period, compacted to one document per
+// UTC day and dimension combination. Unknown dimensions are stored as '' rather
+// than null because `$merge` can't match on null fields.
+const dailyPageStatsSchema = new mongoose.Schema({
+  siteId: { type: String, required: true },
+  day: { type: Date, required: true },
+  path: { type: String, default: '' },
+  pageType: { type: String, default: '' },
+  country: { type: String, default: '' },
+  referrerDomain: { type: String, default: '' },
+  utmCampaign: { type: String, default: '' },
+  isBot: { type: Boolean, default: false },
+  pageViews: { type: Number, default: 0 },
+  // Distinct sessions within this document only, so summing across documents
+  // overcounts sessions that span several pages or days
+  sessions: { type: Number, default: 0 },
+  elapsedMsTotal: { type: Number, default: 0 },
+  // Only page views that measured engaged time, which `engagedPageViews` counts
+  engagedMsTotal: { type: Number, default: 0 },
+  engagedPageViews: { type: Number, default: 0 },
+  scrollDepthTotal: { type: Number, default: 0 },
+  scrollDepth: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, {
+  minimize: false,
+  timestamps: true
+});
+
+dailyPageStatsSchema.index(
+  { siteId: 1, day: 1, path: 1, pageType: 1, country: 1, referrerDomain: 1, utmCampaign: 1, isBot: 1 },
+  { unique: true }
+);
+
+module.exports = dailyPageStatsSchema;
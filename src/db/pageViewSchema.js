@@ -2,15 +2,22 @@
 
 const mongoose = require('mongoose');
 
-const customEventSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  properties: { type: mongoose.Schema.Types.Mixed, default: {} },
-  atMs: { type: Number, default: 0 }
-}, { _id: false });
-
 const pageViewSchema = new mongoose.Schema({
+  // Null on page views stored before site IDs existed, which all belong to the
+  // default site
+  siteId: { type: String, default: null },
   pageViewId: { type: String, required: true, unique: true, index: true },
   sessionId: { type: String, default: null },
+  // Only set when the visitor consented to tracking. `visitCount` counts the
+  // visitor's sessions including this one, so 1 means a new visitor.
+  visitorId: { type: String, default: null },
+  firstVisitAt: { type: Date, default: null },
+  visitCount: { type: Number, default: null },
+  firstTouch: {
+    utm: { type: mongoose.Schema.Types.Mixed, default: {} },
+    referrer: { type: String, default: null },
+    gclid: { type: String, default: null }
+  },
   pageType: { type: String, default: 'page' },
   path: { type: String, required: true },
   search: { type: String, default: '' },
@@ -18,10 +25,12 @@ const pageViewSchema = new mongoose.Schema({
   title: { type: String, default: null },
   referrer: { type: String, default: null },
   elapsedMs: { type: Number, default: 0 },
+  // Time the page was visible, focused and not idle. Null for page views from
+  // trackers that didn't measure it.
+  engagedMs: { type: Number, default: null },
   maxScrollDepthPercent: { type: Number, default: 0 },
   utm: { type: mongoose.Schema.Types.Mixed, default: {} },
   gclid: { type: String, default: null },
-  customEvents: { type: [customEventSchema], default: [] },
   sequence: { type: Number, default: 0 },
   reason: { type: String, default: null },
   isFinal: { type: Boolean, default: false },
@@ -30,12 +39,36 @@ const pageViewSchema = new mongoose.Schema({
     width: { type: Number, default: null },
     height: { type: Number, default: null }
   },
+  // Sent with the final flush. LCP, FCP and TTFB only exist for the page view
+  // that loaded the document, not for ones started by SPA route changes.
+  webVitals: {
+    lcpMs: { type: Number, default: null },
+    cls: { type: Number, default: null },
+    inpMs: { type: Number, default: null },
+    fcpMs: { type: Number, default: null },
+    ttfbMs: { type: Number, default: null },
+    navigationType: { type: String, default: null }
+  },
+  // The share of visitors the tracker was configured to send, so a page view
+  // with a `sampleRate` of 0.25 stands for about 4. Reports count stored page
+  // views as they are.
+  sampleRate: { type: Number, default: 1 },
+  isBot: { type: Boolean, default: false },
+  botFamily: { type: String, default: null },
+  droppedUpdates: {
+    stale: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 }
+  },
   firstSeenAt: { type: Date, default: Date.now },
   lastSeenAt: { type: Date, default: Date.now },
   requestMeta: {
     ipAddress: { type: String, default: null },
+    ipHash: { type: String, default: null },
+    privacyMode: { type: String, enum: ['standard', 'restricted'], default: 'standard' },
     userAgent: { type: String, default: null },
     origin: { type: String, default: null },
+    originAllowed: { type: Boolean, default: true },
+    botFamily: { type: String, default: null },
     ipGeolocation: {
       city: { type: String, default: null },
       country: { type: String, default: null },
@@ -51,4 +84,12 @@ const pageViewSchema = new mongoose.Schema({
   timestamps: true
 });
 
+pageViewSchema.index({ siteId: 1, firstSeenAt: -1, pageType: 1 });
+// Retention compacts every site at once
+pageViewSchema.index({ firstSeenAt: 1 });
+pageViewSchema.index({ sessionId: 1 });
+pageViewSchema.index({ visitorId: 1 });
+// Page views open right now, for the live stream
+pageViewSchema.index({ siteId: 1, lastSeenAt: -1 });
+
 module.exports = pageViewSchema;
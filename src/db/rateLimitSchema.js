@@ -0,0 +1,14 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Fixed-window counters shared by every serverless instance. Each window gets
+// its own document, which MongoDB's TTL monitor removes once the window ends.
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  windowStart: { type: Date, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+module.exports = rateLimitSchema;
@@ -0,0 +1,58 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+const sessionPageViewSchema = new mongoose.Schema({
+  pageViewId: { type: String, required: true },
+  path: { type: String, default: null },
+  firstSeenAt: { type: Date, default: null },
+  elapsedMs: { type: Number, default: 0 },
+  engagedMs: { type: Number, default: null }
+}, { _id: false });
+
+const sessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  siteId: { type: String, default: null },
+  // `attribution` is this session's first touch, `firstTouch` the visitor's
+  // first touch across sessions, for crediting conversions to the campaign
+  // that originally brought them in
+  visitorId: { type: String, default: null },
+  firstVisitAt: { type: Date, default: null },
+  visitCount: { type: Number, default: null },
+  isReturningVisitor: { type: Boolean, default: null },
+  firstTouch: {
+    utm: { type: mongoose.Schema.Types.Mixed, default: {} },
+    referrer: { type: String, default: null },
+    gclid: { type: String, default: null }
+  },
+  firstPageViewId: { type: String, default: null },
+  firstPath: { type: String, default: null },
+  lastPageViewId: { type: String, default: null },
+  lastPath: { type: String, default: null },
+  pageCount: { type: Number, default: 0 },
+  totalEngagedMs: { type: Number, default: 0 },
+  pageViews: { type: [sessionPageViewSchema], default: [] },
+  attribution: {
+    utm: { type: mongoose.Schema.Types.Mixed, default: {} },
+    gclid: { type: String, default: null },
+    referrer: { type: String, default: null }
+  },
+  country: { type: String, default: null },
+  device: {
+    type: { type: String, default: null },
+    os: { type: String, default: null },
+    browser: { type: String, default: null }
+  },
+  isBot: { type: Boolean, default: false },
+  firstSeenAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, {
+  minimize: false,
+  timestamps: true
+});
+
+sessionSchema.index({ siteId: 1, firstSeenAt: -1 });
+sessionSchema.index({ visitorId: 1, firstSeenAt: -1 });
+sessionSchema.index({ siteId: 1, 'attribution.utm.utm_campaign': 1, firstSeenAt: -1 });
+
+module.exports = sessionSchema;
@@ -0,0 +1,36 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One document per custom event, only ever inserted. Events from the tracker
+// are keyed by their page view and position in its event list, since the
+// tracker resends every event on each flush. Server-side events are keyed by
+// the caller's `eventId` and may not belong to a page view at all.
+const trackEventSchema = new mongoose.Schema({
+  source: { type: String, enum: ['client', 'server'], default: 'client' },
+  siteId: { type: String, default: null },
+  eventId: { type: String },
+  pageViewId: { type: String, default: null },
+  index: { type: Number },
+  sessionId: { type: String, default: null },
+  name: { type: String, required: true },
+  properties: { type: mongoose.Schema.Types.Mixed, default: {} },
+  atMs: { type: Number, default: 0 },
+  occurredAt: { type: Date, required: true },
+  path: { type: String, default: null },
+  pageType: { type: String, default: null },
+  isBot: { type: Boolean, default: false }
+}, {
+  minimize: false,
+  timestamps: true
+});
+
+trackEventSchema.index(
+  { pageViewId: 1, index: 1 },
+  { unique: true, partialFilterExpression: { index: { $exists: true } } }
+);
+trackEventSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { eventId: { $exists: true } } });
+trackEventSchema.index({ siteId: 1, name: 1, occurredAt: -1 });
+trackEventSchema.index({ sessionId: 1, occurredAt: 1 });
+
+module.exports = trackEventSchema;
@@ -0,0 +1,14 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One random salt per UTC day for hashing visitor IP addresses. Salts expire
+// after two days, after which hashes from that day can no longer be linked
+// back to an IP address, even by someone with database access.
+const trackingSaltSchema = new mongoose.Schema({
+  day: { type: String, required: true, unique: true },
+  salt: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: 2 * 24 * 60 * 60 }
+});
+
+module.exports = trackingSaltSchema;
@@ -0,0 +1,124 @@
+'use strict';
+
+// Translates between each hosting platform's request and response shapes and
+// the `{ method, headers, body, ipAddress, ipGeolocation }` requests that
+// `handleTrackRequest()` works with. Everything platform specific, like where
+// the client IP and geolocation come from, lives here.
+
+module.exports = {
+  fromNetlifyEvent,
+  fromVercelRequest,
+  getNetlifyGeolocation,
+  getVercelGeolocation,
+  sendVercelResponse,
+  toNetlifyResponse
+};
+
+function fromVercelRequest(req) {
+  const headers = req.headers || {};
+  const forwardedFor = headers['x-forwarded-for'];
+
+  return {
+    method: req.method,
+    headers,
+    body: req.body,
+    ipAddress: Array.isArray(forwardedFor)
+      ? forwardedFor[0]
+      : (forwardedFor || '').split(',')[0].trim() || null,
+    ipGeolocation: getVercelGeolocation(req)
+  };
+}
+
+function getVercelGeolocation(req) {
+  const headers = req.headers || {};
+  const geo = req.geo || {};
+
+  return {
+    city: firstNonEmpty(geo.city, headers['x-vercel-ip-city']),
+    country: firstNonEmpty(geo.country, headers['x-vercel-ip-country']),
+    countryRegion: firstNonEmpty(geo.countryRegion, headers['x-vercel-ip-country-region']),
+    region: firstNonEmpty(geo.region, headers['x-vercel-region']),
+    latitude: firstNonEmpty(geo.latitude, headers['x-vercel-ip-latitude']),
+    longitude: firstNonEmpty(geo.longitude, headers['x-vercel-ip-longitude']),
+    timezone: firstNonEmpty(geo.timezone, headers['x-vercel-ip-timezone'])
+  };
+}
+
+function sendVercelResponse(res, response) {
+  for (const [name, value] of Object.entries(response.headers)) {
+    res.setHeader(name, value);
+  }
+  if (response.body == null) {
+    return res.status(response.statusCode).end();
+  }
+  return res.status(response.statusCode).json(response.body);
+}
+
+// Netlify lowercases header names and passes the body as a string, base64
+// encoded when it isn't valid UTF-8 text.
+function fromNetlifyEvent(event) {
+  const headers = event.headers || {};
+  const body = event.body != null && event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64')
+    : event.body;
+
+  return {
+    method: event.httpMethod,
+    headers,
+    body,
+    ipAddress: firstNonEmpty(
+      headers['x-nf-client-connection-ip'],
+      (headers['x-forwarded-for'] || '').split(',')[0].trim()
+    ),
+    ipGeolocation: getNetlifyGeolocation(headers)
+  };
+}
+
+// `x-nf-geo` is base64 encoded JSON like
+// `{"city":"Paris","country":{"code":"FR"},"subdivision":{"code":"IDF"},...}`.
+// Netlify doesn't expose which region served the request.
+function getNetlifyGeolocation(headers) {
+  let geo = {};
+  if (headers['x-nf-geo']) {
+    try {
+      geo = JSON.parse(Buffer.from(headers['x-nf-geo'], 'base64').toString('utf8')) || {};
+    } catch (err) {
+      geo = {};
+    }
+  }
+
+  return {
+    city: firstNonEmpty(geo.city),
+    country: firstNonEmpty(geo.country && geo.country.code),
+    countryRegion: firstNonEmpty(geo.subdivision && geo.subdivision.code),
+    region: null,
+    latitude: geo.latitude == null ? null : String(geo.latitude),
+    longitude: geo.longitude == null ? null : String(geo.longitude),
+    timezone: firstNonEmpty(geo.timezone)
+  };
+}
+
+function toNetlifyResponse(response) {
+  if (response.body == null) {
+    return { statusCode: response.statusCode, headers: response.headers, body: '' };
+  }
+  return {
+    statusCode: response.statusCode,
+    headers: { 'Content-Type': 'application/json', ...response.headers },
+    body: JSON.stringify(response.body)
+  };
+}
+
+function firstNonEmpty(...values) {
+  for (const value of values) {
+    if (value == null) {
+      continue;
+    }
+    if (typeof value === 'string' && value.trim() === '') {
+      continue;
+    }
+    return value;
+  }
+
+  return null;
+}
@@ -0,0 +1,28 @@
+'use strict';
+
+const crypto = require('crypto');
+
+module.exports = {
+  getBearerToken,
+  isAuthorized
+};
+
+function isAuthorized(req, secret) {
+  const token = getBearerToken(req);
+  if (!token || !secret) {
+    return false;
+  }
+
+  // Compare fixed-length digests so the check doesn't leak the secret's length or prefix
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function getBearerToken(req) {
+  const headers = req.headers || {};
+  const authorization = headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+
+  return match ? match[1].trim() : null;
+}
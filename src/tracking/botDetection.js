@@ -0,0 +1,76 @@
+'use strict';
+
+// Checked in order, so more specific families come before the generic
+// crawler catch-all (Slackbot and UptimeRobot would both match /bot/).
+const BOT_FAMILIES = [
+  {
+    family: 'unfurler',
+    pattern: /Slackbot|Slack-ImgProxy|Twitterbot|facebookexternalhit|facebookcatalog|LinkedInBot|Discordbot|TelegramBot|WhatsApp|redditbot|Embedly|SkypeUriPreview|Iframely|Pinterestbot|vkShare|Mastodon|Bluesky/i
+  },
+  {
+    family: 'monitor',
+    pattern: /UptimeRobot|Pingdom|StatusCake|Site24x7|Datadog|Checkly|NewRelicPinger|Better ?Stack|Better Uptime|vercel-screenshot|vercel-favicon/i
+  },
+  {
+    family: 'headless',
+    pattern: /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|Cypress|Lighthouse|PageSpeed|jsdom/i
+  },
+  {
+    family: 'http_client',
+    pattern: /^(curl|Wget|python-requests|python-urllib|python-httpx|aiohttp|axios|node-fetch|undici|node|Go-http-client|okhttp|Java\/|Apache-HttpClient|libwww-perl|HTTPie|PostmanRuntime|insomnia)\b/i
+  },
+  {
+    family: 'crawler',
+    pattern: /Googlebot|Google-InspectionTool|AdsBot-Google|Mediapartners-Google|bingbot|BingPreview|DuckDuckBot|Baiduspider|YandexBot|Applebot|AhrefsBot|SemrushBot|MJ12bot|DotBot|PetalBot|GPTBot|ChatGPT-User|OAI-SearchBot|ClaudeBot|Claude-Web|anthropic-ai|CCBot|PerplexityBot|Bytespider|Amazonbot|SeznamBot|archive\.org_bot|bot\b|crawl|spider|slurp/i
+  }
+];
+
+module.exports = {
+  BOT_FAMILIES,
+  classifyPageView,
+  detectBotFamily
+};
+
+// Classifies a request from its headers alone. Returns the bot family, or
+// `null` if the request looks like it came from a regular browser.
+function detectBotFamily(headers) {
+  headers = headers || {};
+  const userAgent = headers['user-agent'];
+
+  if (typeof userAgent !== 'string' || userAgent.trim() === '') {
+    return 'unknown';
+  }
+
+  for (const { family, pattern } of BOT_FAMILIES) {
+    if (pattern.test(userAgent)) {
+      return family;
+    }
+  }
+
+  if (/HeadlessChrome/i.test(headers['sec-ch-ua'] || '')) {
+    return 'headless';
+  }
+
+  return null;
+}
+
+// Combines the header-based family with signals from the tracking payload.
+// Automated browsers that spoof a normal user agent still tend to report
+// `navigator.webdriver`, and prerender or fetch-only clients that never
+// execute layout send no viewport and no elapsed time.
+function classifyPageView(requestBotFamily, payload) {
+  if (requestBotFamily) {
+    return { isBot: true, botFamily: requestBotFamily };
+  }
+
+  if (payload.webdriver === true) {
+    return { isBot: true, botFamily: 'headless' };
+  }
+
+  const viewport = payload.viewport || {};
+  if (!viewport.width && !viewport.height && !payload.elapsedMs) {
+    return { isBot: true, botFamily: 'suspected' };
+  }
+
+  return { isBot: false, botFamily: null };
+}
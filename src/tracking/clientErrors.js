@@ -0,0 +1,200 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { classifyPageView } = require('./botDetection');
+const { DEFAULT_SITE_ID } = require('./sites');
+const { getBrowser } = require('./userAgent');
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+// `count` keeps growing past the cap, but only the first 100 paths and
+// browsers get their own counts
+const MAX_COUNT_ENTRIES = 100;
+const UNKNOWN_BROWSER = 'unknown';
+// Occurrences only need to outlive the page that reported them, and a page
+// view can't run longer than the 30 days `validatePayload()` allows
+const OCCURRENCE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Script URLs in a stack trace, up to their `:line:column` suffix
+const STACK_URL_QUERY_REGEX = /(https?:\/\/[^\s()?#]*)[?#][^\s()]*?(?=:\d+:\d+|[\s)]|$)/gm;
+
+module.exports = {
+  buildClientErrorUpdate,
+  getErrorFingerprint,
+  recordClientErrors
+};
+
+// Folds the JavaScript errors reported with each page view into their
+// `ClientError` group. Each error is first inserted into
+// `ClientErrorOccurrence`, keyed by `pageViewId` + `index`, and only the ones
+// that weren't there yet are counted, so resends from later flushes of the
+// same page change nothing. Errors from bots are ignored, headless browsers
+// throw plenty of errors nobody will ever see.
+async function recordClientErrors(conn, payloads, requestMeta, now) {
+  const { ClientError, ClientErrorOccurrence } = conn.models;
+
+  const occurrences = [];
+  for (const payload of payloads) {
+    if (!Array.isArray(payload.clientErrors) || payload.clientErrors.length === 0) {
+      continue;
+    }
+    if (classifyPageView(requestMeta.botFamily, payload).isBot) {
+      continue;
+    }
+    for (const [index, error] of payload.clientErrors.entries()) {
+      occurrences.push({
+        siteId: payload.siteId || DEFAULT_SITE_ID,
+        fingerprint: getErrorFingerprint(error),
+        pageViewId: payload.pageViewId,
+        index,
+        path: payload.path,
+        error
+      });
+    }
+  }
+  if (occurrences.length === 0) {
+    return;
+  }
+
+  const browser = getBrowser(requestMeta.userAgent) || UNKNOWN_BROWSER;
+  const groups = new Map();
+  for (const occurrence of await insertOccurrences(ClientErrorOccurrence, occurrences, now)) {
+    const key = `${occurrence.siteId}:${occurrence.fingerprint}`;
+    const group = groups.get(key) || {
+      siteId: occurrence.siteId,
+      fingerprint: occurrence.fingerprint,
+      error: occurrence.error,
+      count: 0,
+      paths: new Map(),
+      browsers: new Map()
+    };
+    group.count += 1;
+    group.paths.set(occurrence.path, (group.paths.get(occurrence.path) || 0) + 1);
+    group.browsers.set(browser, (group.browsers.get(browser) || 0) + 1);
+    groups.set(key, group);
+  }
+
+  for (const group of groups.values()) {
+    const { filter, pipeline } = buildClientErrorUpdate(group, now);
+    try {
+      await ClientError.updateOne(filter, pipeline, { upsert: true, updatePipeline: true });
+    } catch (err) {
+      // Two flushes raced to insert the same group, the retry matches it
+      if (err.code !== DUPLICATE_KEY_ERROR_CODE) {
+        throw err;
+      }
+      await ClientError.updateOne(filter, pipeline, { updatePipeline: true });
+    }
+  }
+}
+
+// Resolves to the occurrences that weren't stored yet
+async function insertOccurrences(ClientErrorOccurrence, occurrences, now) {
+  let result = null;
+  try {
+    result = await ClientErrorOccurrence.bulkWrite(occurrences.map(occurrence => ({
+      updateOne: {
+        filter: { pageViewId: occurrence.pageViewId, index: occurrence.index },
+        update: {
+          $setOnInsert: {
+            siteId: occurrence.siteId,
+            fingerprint: occurrence.fingerprint,
+            pageViewId: occurrence.pageViewId,
+            index: occurrence.index,
+            occurredAt: now,
+            expiresAt: new Date(now.getTime() + OCCURRENCE_TTL_MS)
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (err) {
+    // Concurrent flushes of the same page view can race to insert an occurrence
+    const writeErrors = Array.isArray(err.writeErrors) ? err.writeErrors : null;
+    if (writeErrors == null || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR_CODE)) {
+      throw err;
+    }
+    result = err.result;
+  }
+
+  const upsertedIds = (result && result.upsertedIds) || {};
+  return occurrences.filter((occurrence, index) => upsertedIds[index] != null);
+}
+
+// Builds an update pipeline that adds `group.count` new occurrences of an
+// error, with one stage per path and browser they came from.
+function buildClientErrorUpdate(group, now) {
+  const { error } = group;
+
+  return {
+    filter: { siteId: group.siteId, fingerprint: group.fingerprint },
+    pipeline: [
+      {
+        $set: {
+          type: { $ifNull: ['$type', { $literal: error.type }] },
+          message: { $ifNull: ['$message', { $literal: error.message }] },
+          stack: { $ifNull: ['$stack', { $literal: stripStackQueries(error.stack) }] },
+          source: { $ifNull: ['$source', { $literal: stripQuery(error.source) }] },
+          line: { $ifNull: ['$line', { $literal: error.line }] },
+          column: { $ifNull: ['$column', { $literal: error.column }] },
+          firstSeenAt: { $ifNull: ['$firstSeenAt', now] },
+          lastSeenAt: { $max: [{ $ifNull: ['$lastSeenAt', now] }, now] },
+          count: { $add: [{ $ifNull: ['$count', 0] }, group.count] }
+        }
+      },
+      ...Array.from(group.paths, ([path, count]) => ({ $set: { paths: incrementCount('paths', 'path', path, count) } })),
+      ...Array.from(group.browsers, ([browser, count]) => ({
+        $set: { browsers: incrementCount('browsers', 'browser', browser, count) }
+      }))
+    ]
+  };
+}
+
+function incrementCount(field, key, value, count) {
+  const entries = { $ifNull: [`$${field}`, []] };
+  const isKnown = { $in: [{ $literal: value }, { $ifNull: [`$${field}.${key}`, []] }] };
+
+  return {
+    $cond: [
+      isKnown,
+      {
+        $map: {
+          input: entries,
+          in: {
+            $cond: [
+              { $eq: [`$$this.${key}`, { $literal: value }] },
+              { $mergeObjects: ['$$this', { count: { $add: ['$$this.count', count] } }] },
+              '$$this'
+            ]
+          }
+        }
+      },
+      {
+        $cond: [
+          { $lt: [{ $size: entries }, MAX_COUNT_ENTRIES] },
+          { $concatArrays: [entries, [{ $literal: { [key]: value, count } }]] },
+          entries
+        ]
+      }
+    ]
+  };
+}
+
+// Identical errors share a type, message and location. Cache-busting query
+// strings on the script URL don't make an error different.
+function getErrorFingerprint(error) {
+  const location = [stripQuery(error.source), error.line, error.column].map(part => part == null ? '' : part).join(':');
+  return crypto.createHash('sha256')
+    .update([error.type, error.message, location].join('\n'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function stripQuery(url) {
+  return url ? url.replace(/[?#].*$/, '') : null;
+}
+
+// Query strings on script URLs can carry tokens, so they're dropped from stack
+// traces like they are from `source`
+function stripStackQueries(stack) {
+  return stack ? stack.replace(STACK_URL_QUERY_REGEX, '$1') : null;
+}
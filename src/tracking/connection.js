@@ -0,0 +1,46 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const clientErrorOccurrenceSchema = require('../db/clientErrorOccurrenceSchema');
+const clientErrorSchema = require('../db/clientErrorSchema');
+const dailyPageStatsSchema = require('../db/dailyPageStatsSchema');
+const pageViewSchema = require('../db/pageViewSchema');
+const rateLimitSchema = require('../db/rateLimitSchema');
+const sessionSchema = require('../db/sessionSchema');
+const trackEventSchema = require('../db/trackEventSchema');
+const trackingSaltSchema = require('../db/trackingSaltSchema');
+
+let conn = null;
+
+module.exports = {
+  ensureConnection,
+  resetConnection
+};
+
+async function ensureConnection() {
+  if (conn == null) {
+    conn = mongoose.createConnection(
+      process.env.TRACK_MONGODB_CONNECTION_STRING,
+      { serverSelectionTimeoutMS: 3000 }
+    );
+    await conn.asPromise().catch(err => {
+      conn = null;
+      throw err;
+    });
+
+    conn.model('PageView', pageViewSchema);
+    conn.model('Session', sessionSchema);
+    conn.model('TrackEvent', trackEventSchema);
+    conn.model('DailyPageStats', dailyPageStatsSchema);
+    conn.model('RateLimit', rateLimitSchema);
+    conn.model('TrackingSalt', trackingSaltSchema);
+    conn.model('ClientError', clientErrorSchema);
+    conn.model('ClientErrorOccurrence', clientErrorOccurrenceSchema);
+  }
+
+  return conn;
+}
+
+function resetConnection() {
+  conn = null;
+}
@@ -0,0 +1,210 @@
+'use strict';
+
+const { classifyPageView } = require('./botDetection');
+const { coarsenPayload } = require('./privacy');
+const { DEFAULT_SITE_ID } = require('./sites');
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+const BACKFILL_BATCH_SIZE = 500;
+
+module.exports = {
+  backfillTrackEvents,
+  buildTrackEventWrites,
+  recordServerEvents,
+  recordTrackEvents
+};
+
+// Inserts the custom events from `payloads` that haven't been stored yet.
+// Events already stored by an earlier flush match on `pageViewId` + `index`
+// and are left untouched.
+async function recordTrackEvents(TrackEvent, payloads, requestMeta, now) {
+  const writes = payloads.flatMap(payload => buildTrackEventWrites(payload, requestMeta, now));
+  if (writes.length === 0) {
+    return;
+  }
+
+  await insertTrackEvents(TrackEvent, writes);
+}
+
+// `atMs` is relative to when the page loaded, which the server only knows
+// approximately: the time it received this flush minus the flush's `elapsedMs`.
+function buildTrackEventWrites(payload, requestMeta, now) {
+  if (!Array.isArray(payload.customEvents) || payload.customEvents.length === 0) {
+    return [];
+  }
+
+  const { isBot } = classifyPageView(requestMeta.botFamily, payload);
+  if (requestMeta.privacyMode === 'restricted') {
+    payload = coarsenPayload(payload);
+  }
+  const pageStart = now.getTime() - (Number.isFinite(payload.elapsedMs) ? payload.elapsedMs : 0);
+
+  // Events the server skipped as invalid are null, but still take up their index
+  return payload.customEvents.flatMap((event, index) => {
+    if (event == null) {
+      return [];
+    }
+    const atMs = Number.isFinite(event.atMs) ? event.atMs : 0;
+    return [{
+      updateOne: {
+        filter: { pageViewId: payload.pageViewId, index },
+        update: {
+          $setOnInsert: {
+            source: 'client',
+            siteId: payload.siteId || DEFAULT_SITE_ID,
+            pageViewId: payload.pageViewId,
+            index,
+            sessionId: payload.sessionId || null,
+            name: event.name,
+            properties: event.properties || {},
+            atMs,
+            occurredAt: new Date(Math.min(now.getTime(), pageStart + atMs)),
+            path: payload.path,
+            pageType: payload.pageType || 'page',
+            isBot
+          }
+        },
+        upsert: true
+      }
+    }];
+  });
+}
+
+// Copies the `customEvents` arrays of page views stored before custom events
+// moved to `TrackEvent`, so funnels keep their history. Events are keyed by
+// `pageViewId` + `index` like the ones the tracker sends, so running this
+// again, or on page views whose events were already stored, inserts nothing
+// new. The schema no longer has `customEvents`, so this reads the collection
+// directly. Resolves to how many page views had events.
+async function backfillTrackEvents(conn) {
+  const { PageView, TrackEvent } = conn.models;
+  const cursor = PageView.collection.find(
+    { 'customEvents.0': { $exists: true } },
+    {
+      projection: {
+        siteId: 1,
+        pageViewId: 1,
+        sessionId: 1,
+        path: 1,
+        pageType: 1,
+        elapsedMs: 1,
+        customEvents: 1,
+        isBot: 1,
+        lastSeenAt: 1,
+        'requestMeta.privacyMode': 1
+      }
+    }
+  );
+
+  let pageViews = 0;
+  let batch = [];
+  for await (const pageView of cursor) {
+    const requestMeta = { botFamily: null, privacyMode: pageView.requestMeta && pageView.requestMeta.privacyMode };
+    // The original flush's receive time is gone, `lastSeenAt` is the closest
+    for (const write of buildTrackEventWrites(pageView, requestMeta, pageView.lastSeenAt)) {
+      write.updateOne.update.$setOnInsert.isBot = pageView.isBot === true;
+      batch.push(write);
+    }
+    ++pageViews;
+    if (batch.length >= BACKFILL_BATCH_SIZE) {
+      await insertTrackEvents(TrackEvent, batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await insertTrackEvents(TrackEvent, batch);
+  }
+
+  return { pageViews };
+}
+
+// Concurrent flushes of the same page view can race to insert an event
+async function insertTrackEvents(TrackEvent, writes) {
+  try {
+    await TrackEvent.bulkWrite(writes, { ordered: false });
+  } catch (err) {
+    const writeErrors = Array.isArray(err.writeErrors) ? err.writeErrors : null;
+    if (writeErrors == null || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR_CODE)) {
+      throw err;
+    }
+  }
+}
+
+// Stores events reported by our own servers. Events that reference a page view
+// pick up its session, path and page type so they show up next to it in
+// funnels, and events without a `siteId` take the site of whatever they're
+// linked to. Resolves to one `{ eventId, duplicate, linked }` per event, where
+// `linked` says what the event was matched to: 'pageView', 'session' or null.
+async function recordServerEvents(conn, events) {
+  const { PageView, Session, TrackEvent } = conn.models;
+
+  const pageViewIds = unique(events.map(event => event.pageViewId));
+  const pageViews = pageViewIds.length === 0
+    ? []
+    : await PageView.find({ pageViewId: { $in: pageViewIds } }, { pageViewId: 1, siteId: 1, sessionId: 1, path: 1, pageType: 1 });
+  const pageViewsById = new Map(pageViews.map(pageView => [pageView.pageViewId, pageView]));
+
+  const sessionIds = unique(events.filter(event => !pageViewsById.has(event.pageViewId)).map(event => event.sessionId));
+  const sessions = sessionIds.length === 0
+    ? []
+    : await Session.find({ sessionId: { $in: sessionIds } }, { sessionId: 1, siteId: 1 });
+  const sessionsById = new Map(sessions.map(session => [session.sessionId, session]));
+
+  const linked = events.map(event => {
+    if (pageViewsById.has(event.pageViewId)) {
+      return 'pageView';
+    }
+    return sessionsById.has(event.sessionId) ? 'session' : null;
+  });
+
+  let result = null;
+  const duplicateIndexes = new Set();
+  try {
+    result = await TrackEvent.bulkWrite(events.map(event => {
+      const pageView = pageViewsById.get(event.pageViewId);
+      const linkedTo = pageView || sessionsById.get(event.sessionId);
+      return {
+        updateOne: {
+          filter: { eventId: event.eventId },
+          update: {
+            $setOnInsert: {
+              source: 'server',
+              siteId: event.siteId || (linkedTo && linkedTo.siteId) || DEFAULT_SITE_ID,
+              eventId: event.eventId,
+              pageViewId: event.pageViewId || null,
+              sessionId: (pageView && pageView.sessionId) || event.sessionId || null,
+              name: event.name,
+              properties: event.properties,
+              occurredAt: event.occurredAt,
+              path: pageView ? pageView.path : null,
+              pageType: pageView ? pageView.pageType : null,
+              isBot: false
+            }
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+  } catch (err) {
+    // A retried delivery racing the original
+    const writeErrors = Array.isArray(err.writeErrors) ? err.writeErrors : null;
+    if (writeErrors == null || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR_CODE)) {
+      throw err;
+    }
+    for (const writeError of writeErrors) {
+      duplicateIndexes.add(writeError.index);
+    }
+    result = err.result;
+  }
+
+  const upsertedIds = (result && result.upsertedIds) || {};
+  return events.map((event, index) => ({
+    eventId: event.eventId,
+    duplicate: duplicateIndexes.has(index) || upsertedIds[index] == null,
+    linked: linked[index]
+  }));
+}
+
+function unique(values) {
+  return Array.from(new Set(values.filter(value => value != null)));
+}
@@ -0,0 +1,295 @@
+'use strict';
+
+const { siteFilter } = require('./sites');
+
+// Each step matches a page view by path or a `TrackEvent` by name.
+// Path patterns are exact paths where `*` matches any run of characters. A
+// step with both `path` and `event` matches either.
+const DEFAULT_FUNNELS = [
+  {
+    name: 'purchase',
+    steps: [
+      { name: 'home', path: ['/', '/index.html'] },
+      { name: 'pricing', path: ['/pricing', '/pricing.html'], event: 'pricing_details_seen' },
+      { name: 'buy', path: ['/buy', '/buy.html'] },
+      { name: 'checkout', event: 'checkout_started' }
+    ]
+  }
+];
+const NAME_REGEX = /^[A-Za-z0-9_.:-]+$/;
+const MAX_STEPS = 10;
+const NO_UTM_SOURCE = '(none)';
+// "session" credits the campaign that started the session, "visitor" the one
+// that first brought the visitor to the site, for page views that have a
+// visitor id
+const ATTRIBUTION_MODELS = ['session', 'visitor'];
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  DEFAULT_FUNNELS,
+  NO_UTM_SOURCE,
+  buildFunnelPipeline,
+  formatFunnelReport,
+  getFunnels,
+  parseFunnels,
+  pathPatternToRegExp
+};
+
+// `TRACK_FUNNELS` is a JSON array of funnels in the same shape as
+// `DEFAULT_FUNNELS`. Funnels with the same name as a default replace it.
+function getFunnels() {
+  const value = process.env.TRACK_FUNNELS;
+  if (value == null || value.trim() === '') {
+    return DEFAULT_FUNNELS;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid TRACK_FUNNELS, must be a JSON array: ${err.message}`);
+  }
+  const funnels = parseFunnels(parsed);
+  const names = new Set(funnels.map(funnel => funnel.name));
+
+  return DEFAULT_FUNNELS.filter(funnel => !names.has(funnel.name)).concat(funnels);
+}
+
+function parseFunnels(funnels) {
+  if (!Array.isArray(funnels)) {
+    throw new Error('Invalid TRACK_FUNNELS, must be a JSON array');
+  }
+
+  const seen = new Set();
+  return funnels.map((funnel, i) => {
+    const where = `TRACK_FUNNELS[${i}]`;
+    if (funnel == null || typeof funnel.name !== 'string' || !NAME_REGEX.test(funnel.name)) {
+      throw new Error(`Invalid ${where}: \`name\` must match ${NAME_REGEX}`);
+    }
+    if (seen.has(funnel.name)) {
+      throw new Error(`Invalid ${where}: duplicate funnel name "${funnel.name}"`);
+    }
+    seen.add(funnel.name);
+    if (!Array.isArray(funnel.steps) || funnel.steps.length < 2 || funnel.steps.length > MAX_STEPS) {
+      throw new Error(`Invalid ${where}: \`steps\` must be an array of 2 to ${MAX_STEPS} steps`);
+    }
+
+    return {
+      name: funnel.name,
+      steps: funnel.steps.map((step, j) => {
+        const stepWhere = `${where}.steps[${j}]`;
+        if (step == null || typeof step.name !== 'string' || step.name.length === 0) {
+          throw new Error(`Invalid ${stepWhere}: \`name\` must be a non-empty string`);
+        }
+        const paths = step.path == null ? [] : [].concat(step.path);
+        if (paths.some(path => typeof path !== 'string' || !path.startsWith('/'))) {
+          throw new Error(`Invalid ${stepWhere}: \`path\` patterns must start with "/"`);
+        }
+        if (step.event != null && (typeof step.event !== 'string' || !NAME_REGEX.test(step.event))) {
+          throw new Error(`Invalid ${stepWhere}: \`event\` must match ${NAME_REGEX}`);
+        }
+        if (paths.length === 0 && step.event == null) {
+          throw new Error(`Invalid ${stepWhere}: needs a \`path\` or an \`event\``);
+        }
+
+        const parsed = { name: step.name };
+        if (paths.length > 0) {
+          parsed.path = paths;
+        }
+        if (step.event != null) {
+          parsed.event = step.event;
+        }
+        return parsed;
+      })
+    };
+  });
+}
+
+function pathPatternToRegExp(patterns) {
+  const alternatives = [].concat(patterns).map(pattern => pattern
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*'));
+  return new RegExp(`^(?:${alternatives.join('|')})$`);
+}
+
+// Computes, per session, when it first reached each step in order: step N only
+// counts if it happened at or after the time step N - 1 was reached. Path steps
+// come from page views and event steps from `TrackEvent`, which only has the
+// events of older page views after `npm run backfill:track-events`. Sessions
+// are then counted per step and segmented by the first-touch `utm_source` of
+// the session or of the visitor, depending on `params.attribution`, taken from
+// the `Session` rollup since the landing page doesn't have to be a step.
+function buildFunnelPipeline(funnel, params, eventCollectionName, sessionCollectionName) {
+  const pageViewMatch = {
+    siteId: siteFilter(params.siteId),
+    firstSeenAt: { $gte: params.from, $lt: params.to },
+    sessionId: { $ne: null },
+    $or: []
+  };
+  const eventMatch = {
+    siteId: siteFilter(params.siteId),
+    occurredAt: { $gte: params.from, $lt: params.to },
+    sessionId: { $ne: null },
+    name: { $in: [] }
+  };
+  if (!params.includeBots) {
+    pageViewMatch.isBot = { $ne: true };
+    eventMatch.isBot = { $ne: true };
+  }
+
+  const pageViewSteps = {};
+  const eventSteps = {};
+  const pushStepTimes = {};
+  funnel.steps.forEach((step, i) => {
+    const key = `step${i}`;
+    pageViewSteps[key] = { $literal: null };
+    eventSteps[key] = { $literal: null };
+    if (step.path) {
+      const regex = pathPatternToRegExp(step.path);
+      pageViewMatch.$or.push({ path: regex });
+      pageViewSteps[key] = { $cond: [{ $regexMatch: { input: { $ifNull: ['$path', ''] }, regex } }, '$firstSeenAt', null] };
+    }
+    if (step.event) {
+      eventMatch.name.$in.push(step.event);
+      eventSteps[key] = { $cond: [{ $eq: ['$name', step.event] }, '$occurredAt', null] };
+    }
+    pushStepTimes[key] = { $push: `$${key}` };
+  });
+  // An always-false condition, rather than an empty `$or`, for funnels without path steps
+  if (pageViewMatch.$or.length === 0) {
+    pageViewMatch.$or.push({ _id: { $exists: false } });
+  }
+
+  const reachedStages = funnel.steps.map((step, i) => {
+    const candidates = { $filter: { input: `$step${i}`, cond: { $ne: ['$$this', null] } } };
+    if (i === 0) {
+      return { $set: { reached0: { $min: candidates } } };
+    }
+    const previous = `$reached${i - 1}`;
+    return {
+      $set: {
+        [`reached${i}`]: {
+          $cond: [
+            { $eq: [previous, null] },
+            null,
+            { $min: { $filter: { input: candidates, as: 'time', cond: { $gte: ['$$time', previous] } } } }
+          ]
+        }
+      }
+    };
+  });
+
+  let utmSource = { $ifNull: ['$utm.utm_source', NO_UTM_SOURCE] };
+  let sessionUtmSource = { $ifNull: ['$attribution.utm.utm_source', NO_UTM_SOURCE] };
+  if (params.attribution === 'visitor') {
+    utmSource = visitorUtmSource(utmSource);
+    sessionUtmSource = visitorUtmSource(sessionUtmSource);
+  }
+
+  const countSteps = {};
+  funnel.steps.forEach((step, i) => {
+    countSteps[`step${i}`] = { $sum: { $cond: [{ $ne: [{ $ifNull: [`$reached${i}`, null] }, null] }, 1, 0] } };
+  });
+
+  return [
+    { $match: pageViewMatch },
+    {
+      $project: {
+        _id: 0,
+        sessionId: 1,
+        at: '$firstSeenAt',
+        utmSource,
+        ...pageViewSteps
+      }
+    },
+    {
+      $unionWith: {
+        coll: eventCollectionName,
+        pipeline: [
+          { $match: eventMatch },
+          { $project: { _id: 0, sessionId: 1, at: '$occurredAt', utmSource: { $literal: null }, ...eventSteps } }
+        ]
+      }
+    },
+    { $sort: { sessionId: 1, at: 1 } },
+    {
+      $group: {
+        _id: '$sessionId',
+        utmSources: { $push: '$utmSource' },
+        ...pushStepTimes
+      }
+    },
+    ...reachedStages,
+    { $match: { reached0: { $ne: null } } },
+    {
+      $lookup: {
+        from: sessionCollectionName,
+        localField: '_id',
+        foreignField: 'sessionId',
+        pipeline: [{ $project: { _id: 0, utmSource: sessionUtmSource } }],
+        as: 'session'
+      }
+    },
+    {
+      $group: {
+        // Sessions recorded before the `Session` rollup existed fall back to
+        // their earliest funnel page view, events have a null `utmSource`
+        _id: {
+          $ifNull: [
+            { $first: '$session.utmSource' },
+            { $first: { $filter: { input: '$utmSources', cond: { $ne: ['$$this', null] } } } },
+            NO_UTM_SOURCE
+          ]
+        },
+        ...countSteps
+      }
+    },
+    { $sort: { step0: -1, _id: 1 } }
+  ];
+}
+
+// Page views and sessions without a visitor id fall back to their own campaign
+function visitorUtmSource(fallback) {
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: ['$visitorId', null] }, null] },
+      fallback,
+      { $ifNull: ['$firstTouch.utm.utm_source', NO_UTM_SOURCE] }
+    ]
+  };
+}
+
+function formatFunnelReport(funnel, rows, limit) {
+  const totals = funnel.steps.map(() => 0);
+  for (const row of rows) {
+    funnel.steps.forEach((step, i) => {
+      totals[i] += row[`step${i}`] || 0;
+    });
+  }
+
+  return {
+    steps: formatSteps(funnel, totals),
+    segments: rows.slice(0, limit).map(row => ({
+      utmSource: row._id,
+      steps: formatSteps(funnel, funnel.steps.map((step, i) => row[`step${i}`] || 0))
+    }))
+  };
+}
+
+function formatSteps(funnel, counts) {
+  return funnel.steps.map((step, i) => {
+    const previous = i === 0 ? counts[0] : counts[i - 1];
+    return {
+      name: step.name,
+      sessions: counts[i],
+      conversionRate: rate(counts[i], previous),
+      overallConversionRate: rate(counts[i], counts[0]),
+      dropOff: previous - counts[i]
+    };
+  });
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 10000) / 10000 : 0;
+}
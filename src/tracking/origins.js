@@ -0,0 +1,72 @@
+'use strict';
+
+const { getSite, getSites } = require('./sites');
+
+const ORIGIN_POLICIES = ['reject', 'flag'];
+const PREFLIGHT_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+module.exports = {
+  ORIGIN_POLICIES,
+  checkOrigin,
+  getAllowedOrigins,
+  getCorsHeaders,
+  getOriginPolicy,
+  isOriginAllowed
+};
+
+// Without a `siteId`, e.g. for preflight requests that don't have a body yet,
+// an origin is allowed if any site allows it. Unknown sites allow nothing.
+function getAllowedOrigins(siteId) {
+  if (siteId == null) {
+    return getSites().flatMap(site => site.origins);
+  }
+  const site = getSite(siteId);
+  return site == null ? [] : site.origins;
+}
+
+function getOriginPolicy() {
+  const policy = process.env.TRACK_ORIGIN_POLICY || 'reject';
+  if (!ORIGIN_POLICIES.includes(policy)) {
+    throw new Error(`Invalid TRACK_ORIGIN_POLICY "${policy}", must be one of: ${ORIGIN_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+  return allowedOrigins.some(allowed => {
+    if (allowed === '*' || allowed === origin) {
+      return true;
+    }
+    const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(allowed);
+    if (wildcard == null) {
+      return false;
+    }
+    const [, scheme, host] = wildcard;
+    return origin.startsWith(scheme) && origin.endsWith(`.${host}`) && origin.length > scheme.length + host.length + 1;
+  });
+}
+
+// Requests without an `Origin` header come from same-origin navigations or
+// server-side clients rather than someone else's page, so they're allowed.
+// Returns `{ allowed, rejected }`: `rejected` is only set when the
+// policy is "reject", otherwise disallowed origins are stored but flagged.
+function checkOrigin(origin, siteId) {
+  if (!origin) {
+    return { allowed: true, rejected: false };
+  }
+  const allowed = isOriginAllowed(origin, getAllowedOrigins(siteId));
+  return { allowed, rejected: !allowed && getOriginPolicy() === 'reject' };
+}
+
+function getCorsHeaders(origin) {
+  if (!origin) {
+    return { Vary: 'Origin' };
+  }
+  return {
+    Vary: 'Origin',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE_SECONDS)
+  };
+}
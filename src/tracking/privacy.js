@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const IP_MODES = ['hash', 'truncate', 'raw'];
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+let cachedSalt = null;
+
+module.exports = {
+  IP_MODES,
+  coarsenPayload,
+  getDailySalt,
+  getIpMode,
+  getPrivacyMode,
+  hashIp,
+  protectRequestMeta,
+  resetSaltCache,
+  truncateIp
+};
+
+// Visitors who send `DNT: 1` or `Sec-GPC: 1`, or who only consented to
+// essential tracking, get "restricted" tracking: the page view is still
+// counted, but nothing that identifies the visitor or links their page views
+// together is stored. Payloads from trackers that predate consent don't have a
+// `consent` field and keep standard tracking.
+function getPrivacyMode(headers, payloads) {
+  headers = headers || {};
+  if (headers.dnt === '1' || headers['sec-gpc'] === '1') {
+    return 'restricted';
+  }
+  if ((payloads || []).some(payload => payload.consent === 'essential')) {
+    return 'restricted';
+  }
+  return 'standard';
+}
+
+function getIpMode() {
+  const mode = process.env.TRACK_IP_MODE || 'hash';
+  if (!IP_MODES.includes(mode)) {
+    throw new Error(`Invalid TRACK_IP_MODE "${mode}", must be one of: ${IP_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Returns the copy of `requestMeta` that's safe to store. The raw IP address
+// is only kept when `TRACK_IP_MODE=raw`. `ipHash` is stable for a visitor for
+// one UTC day, which is enough to count unique visitors without being able to
+// follow them across days.
+async function protectRequestMeta(conn, requestMeta, privacyMode, now) {
+  if (privacyMode === 'restricted') {
+    return {
+      ...requestMeta,
+      ipAddress: null,
+      ipHash: null,
+      userAgent: null,
+      privacyMode,
+      ipGeolocation: {
+        city: null,
+        country: requestMeta.ipGeolocation ? requestMeta.ipGeolocation.country : null,
+        countryRegion: null,
+        region: null,
+        latitude: null,
+        longitude: null,
+        timezone: null
+      }
+    };
+  }
+
+  const ipMode = getIpMode();
+  const ipAddress = requestMeta.ipAddress;
+  const ipHash = ipAddress ? hashIp(ipAddress, await getDailySalt(conn, now)) : null;
+
+  return {
+    ...requestMeta,
+    ipAddress: ipMode === 'raw' ? ipAddress : ipMode === 'truncate' ? truncateIp(ipAddress) : null,
+    ipHash,
+    privacyMode
+  };
+}
+
+// Strips the payload down to what's needed to count the page view: no session
+// id, no query string, no click ids, and referrers reduced to their origin.
+function coarsenPayload(payload) {
+  const utm = payload.utm || {};
+
+  return {
+    ...payload,
+    sessionId: null,
+    visitorId: null,
+    firstVisitAt: null,
+    visitCount: null,
+    firstTouch: null,
+    search: '',
+    url: stripQuery(payload.url),
+    referrer: toOrigin(payload.referrer),
+    gclid: null,
+    utm: pick(utm, ['utm_source', 'utm_medium', 'utm_campaign']),
+    viewport: null
+  };
+}
+
+function hashIp(ipAddress, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${ipAddress}`).digest('hex').slice(0, 32);
+}
+
+// Zeroes the host part of the address: the last octet for IPv4 and everything
+// after the first 48 bits for IPv6, the same granularity Google Analytics uses.
+function truncateIp(ipAddress) {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const mappedIpv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ipAddress);
+  if (mappedIpv4) {
+    return truncateIp(mappedIpv4[1]);
+  }
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ipAddress)) {
+    return ipAddress.split('.').slice(0, 3).concat('0').join('.');
+  }
+
+  if (ipAddress.includes(':')) {
+    const [head] = ipAddress.split('::');
+    const groups = head.split(':').filter(group => group !== '');
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+
+  return null;
+}
+
+async function getDailySalt(conn, now) {
+  const day = now.toISOString().slice(0, 10);
+  if (cachedSalt != null && cachedSalt.day === day) {
+    return cachedSalt.salt;
+  }
+
+  const TrackingSalt = conn.models.TrackingSalt;
+  const update = { $setOnInsert: { day, salt: crypto.randomBytes(32).toString('hex') } };
+  let doc;
+  try {
+    doc = await TrackingSalt.findOneAndUpdate({ day }, update, { upsert: true, new: true });
+  } catch (err) {
+    // Another instance created today's salt at the same time
+    if (err.code !== DUPLICATE_KEY_ERROR_CODE) {
+      throw err;
+    }
+    doc = await TrackingSalt.findOne({ day });
+  }
+
+  cachedSalt = { day, salt: doc.salt };
+  return cachedSalt.salt;
+}
+
+function resetSaltCache() {
+  cachedSalt = null;
+}
+
+function stripQuery(url) {
+  if (!url) {
+    return null;
+  }
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+function toOrigin(url) {
+  if (!url) {
+    return null;
+  }
+  try {
+    return new URL(url).origin;
+  } catch (err) {
+    return null;
+  }
+}
+
+function pick(obj, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (obj[key] != null) {
+      result[key] = obj[key];
+    }
+  }
+  return result;
+}
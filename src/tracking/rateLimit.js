@@ -0,0 +1,102 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_MAX_PER_IP = 300;
+const DEFAULT_MAX_PER_SESSION = 60;
+
+module.exports = {
+  checkRateLimits,
+  consumeRateLimit,
+  getRateLimitConfig
+};
+
+// Limits are counted in payloads rather than requests, so batching doesn't
+// let a client send more than it could one payload at a time. Setting a limit
+// to 0 disables it.
+function getRateLimitConfig() {
+  return {
+    windowSeconds: getIntegerEnv('TRACK_RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS),
+    maxPerIp: getIntegerEnv('TRACK_RATE_LIMIT_PER_IP', DEFAULT_MAX_PER_IP),
+    maxPerSession: getIntegerEnv('TRACK_RATE_LIMIT_PER_SESSION', DEFAULT_MAX_PER_SESSION)
+  };
+}
+
+// Checks the per-IP limit for the request and the per-session limit for every
+// session in `payloads`. Resolves to `{ allowed: true }` or to the limit that
+// was hit along with how many seconds until its window resets. `salt` is the
+// daily salt from `getDailySalt()`.
+async function checkRateLimits(RateLimit, requestMeta, payloads, salt, now) {
+  const config = getRateLimitConfig();
+  if (config.windowSeconds <= 0) {
+    return { allowed: true };
+  }
+  const windowMs = config.windowSeconds * 1000;
+
+  const checks = [];
+  if (config.maxPerIp > 0 && requestMeta.ipAddress) {
+    checks.push({ scope: 'ip', id: requestMeta.ipAddress, limit: config.maxPerIp, cost: payloads.length });
+  }
+  if (config.maxPerSession > 0) {
+    const costBySession = new Map();
+    for (const payload of payloads) {
+      if (payload.sessionId) {
+        costBySession.set(payload.sessionId, (costBySession.get(payload.sessionId) || 0) + 1);
+      }
+    }
+    for (const [sessionId, cost] of costBySession) {
+      checks.push({ scope: 'session', id: sessionId, limit: config.maxPerSession, cost });
+    }
+  }
+
+  for (const check of checks) {
+    const result = await consumeRateLimit(RateLimit, `${check.scope}:${hashKey(check.id, salt)}`, check.limit, check.cost, windowMs, now);
+    if (!result.allowed) {
+      return { ...result, scope: check.scope };
+    }
+  }
+
+  return { allowed: true };
+}
+
+async function consumeRateLimit(RateLimit, key, limit, cost, windowMs, now) {
+  const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+  const windowEnd = windowStart + windowMs;
+
+  const doc = await RateLimit.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    {
+      $inc: { count: cost },
+      $setOnInsert: { windowStart: new Date(windowStart), expiresAt: new Date(windowEnd) }
+    },
+    { upsert: true, new: true }
+  );
+
+  return {
+    allowed: doc.count <= limit,
+    count: doc.count,
+    limit,
+    retryAfterSeconds: Math.max(1, Math.ceil((windowEnd - now.getTime()) / 1000))
+  };
+}
+
+// Keys are hashed with the daily salt, so the rate limit collection can't be
+// turned back into IP addresses by hashing every IPv4 address. The salt
+// changes at midnight UTC, which only restarts the window that spans it.
+function hashKey(value, salt) {
+  return crypto.createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, 32);
+}
+
+function getIntegerEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value == null || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`Invalid ${name} "${value}", must be a non-negative integer`);
+  }
+  return parsed;
+}
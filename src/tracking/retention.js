@@ -0,0 +1,174 @@
+'use strict';
+
+const { DEFAULT_SITE_ID } = require('./sites');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+// Keeps a single run well inside the serverless timeout. A backlog of older
+// days gets worked off over several runs.
+const MAX_DAYS_PER_RUN = 14;
+const REFERRER_HOST_REGEX = /^[a-z][a-z0-9+.-]*:\/\/([^/?#:]+)/i;
+const SCROLL_DEPTH_BOUNDARIES = [0, 25, 50, 75, 100, 101];
+const ROLLUP_KEYS = ['siteId', 'day', 'path', 'pageType', 'country', 'referrerDomain', 'utmCampaign', 'isBot'];
+
+module.exports = {
+  DAY_MS,
+  MAX_DAYS_PER_RUN,
+  REFERRER_HOST_REGEX,
+  SCROLL_DEPTH_BOUNDARIES,
+  buildCompactionPipeline,
+  compactDay,
+  compactPageViews,
+  getRetentionCutoff,
+  getRetentionDays,
+  referrerHostExpression,
+  startOfUtcDay
+};
+
+// `TRACK_RETENTION_DAYS=0` keeps raw page views forever
+function getRetentionDays() {
+  const value = process.env.TRACK_RETENTION_DAYS;
+  if (value == null || value === '') {
+    return DEFAULT_RETENTION_DAYS;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`Invalid TRACK_RETENTION_DAYS "${value}", must be a non-negative integer`);
+  }
+  return days;
+}
+
+// Raw page views that started before this date get compacted. Always a UTC
+// midnight so a day is either fully raw or fully rolled up.
+function getRetentionCutoff(now) {
+  const days = getRetentionDays();
+  if (days === 0) {
+    return null;
+  }
+  return startOfUtcDay(new Date(now.getTime() - days * DAY_MS));
+}
+
+// Compacts the oldest days first, one day at a time. Each day is rolled up
+// and then deleted, so a run that times out part way leaves every day either
+// raw or compacted, and the next run picks up where it stopped.
+async function compactPageViews(conn, now) {
+  const cutoff = getRetentionCutoff(now);
+  const days = [];
+  if (cutoff == null) {
+    return { cutoff, days };
+  }
+
+  const PageView = conn.models.PageView;
+  while (days.length < MAX_DAYS_PER_RUN) {
+    const oldest = await PageView.findOne(
+      { firstSeenAt: { $lt: cutoff } },
+      { firstSeenAt: 1 },
+      { sort: { firstSeenAt: 1 } }
+    );
+    if (oldest == null) {
+      break;
+    }
+    days.push(await compactDay(conn, startOfUtcDay(oldest.firstSeenAt)));
+  }
+
+  return { cutoff, days };
+}
+
+async function compactDay(conn, day) {
+  const PageView = conn.models.PageView;
+  const DailyPageStats = conn.models.DailyPageStats;
+  const filter = { firstSeenAt: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) } };
+
+  await PageView
+    .aggregate(buildCompactionPipeline(filter, day, DailyPageStats.collection.collectionName))
+    .allowDiskUse(true);
+  const { deletedCount } = await PageView.deleteMany(filter);
+
+  return { day: day.toISOString().slice(0, 10), pageViews: deletedCount };
+}
+
+// Rolls one day of page views up into `DailyPageStats`. Matched rollups are
+// replaced rather than incremented so re-running a day whose raw documents
+// weren't deleted yet doesn't count them twice.
+function buildCompactionPipeline(filter, day, collectionName) {
+  // Same buckets as the report's `$bucket` stage, including its 'unknown' default
+  const scrollDepthCounts = {};
+  const scrollDepth = {};
+  for (let i = 0; i < SCROLL_DEPTH_BOUNDARIES.length - 1; ++i) {
+    const min = SCROLL_DEPTH_BOUNDARIES[i];
+    const max = SCROLL_DEPTH_BOUNDARIES[i + 1];
+    scrollDepthCounts[`scrollDepth${min}`] = {
+      $sum: { $cond: [{ $and: [{ $gte: ['$maxScrollDepthPercent', min] }, { $lt: ['$maxScrollDepthPercent', max] }] }, 1, 0] }
+    };
+    scrollDepth[min] = `$scrollDepth${min}`;
+  }
+  scrollDepth.unknown = { $subtract: ['$pageViews', { $add: Object.values(scrollDepth) }] };
+
+  return [
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          siteId: { $ifNull: ['$siteId', DEFAULT_SITE_ID] },
+          path: { $ifNull: ['$path', ''] },
+          pageType: { $ifNull: ['$pageType', ''] },
+          country: { $ifNull: ['$requestMeta.ipGeolocation.country', ''] },
+          referrerDomain: { $ifNull: [referrerHostExpression(), ''] },
+          utmCampaign: { $ifNull: ['$utm.utm_campaign', ''] },
+          isBot: { $eq: ['$isBot', true] }
+        },
+        pageViews: { $sum: 1 },
+        sessions: { $addToSet: '$sessionId' },
+        elapsedMsTotal: { $sum: '$elapsedMs' },
+        engagedMsTotal: { $sum: { $ifNull: ['$engagedMs', 0] } },
+        engagedPageViews: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$engagedMs', null] }, null] }, 0, 1] } },
+        scrollDepthTotal: { $sum: '$maxScrollDepthPercent' },
+        ...scrollDepthCounts
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        siteId: '$_id.siteId',
+        day: { $literal: day },
+        path: '$_id.path',
+        pageType: '$_id.pageType',
+        country: '$_id.country',
+        referrerDomain: '$_id.referrerDomain',
+        utmCampaign: '$_id.utmCampaign',
+        isBot: '$_id.isBot',
+        pageViews: 1,
+        sessions: { $size: { $setDifference: ['$sessions', [null]] } },
+        elapsedMsTotal: 1,
+        engagedMsTotal: 1,
+        engagedPageViews: 1,
+        scrollDepthTotal: 1,
+        scrollDepth,
+        createdAt: '$$NOW',
+        updatedAt: '$$NOW'
+      }
+    },
+    {
+      $merge: {
+        into: collectionName,
+        on: ROLLUP_KEYS,
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ];
+}
+
+function referrerHostExpression() {
+  return {
+    $arrayElemAt: [
+      { $getField: { field: 'captures', input: { $regexFind: { input: { $ifNull: ['$referrer', ''] }, regex: REFERRER_HOST_REGEX } } } },
+      0
+    ]
+  };
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
@@ -0,0 +1,133 @@
+'use strict';
+
+const { classifyPageView } = require('./botDetection');
+const { DEFAULT_SITE_ID } = require('./sites');
+const { parseDevice } = require('./userAgent');
+
+// Caps the per-session page view list so a tab left open on a
+// heartbeat-heavy page can't grow a session document without bound.
+// Counters keep accumulating past the cap.
+const MAX_SESSION_PAGE_VIEWS = 200;
+
+module.exports = {
+  MAX_SESSION_PAGE_VIEWS,
+  buildSessionUpdate,
+  updateSession
+};
+
+async function updateSession(Session, payload, requestMeta, now) {
+  const update = buildSessionUpdate(payload, requestMeta, now);
+  if (update == null) {
+    return;
+  }
+
+  await Session.updateOne(update.filter, update.pipeline, { upsert: true, updatePipeline: true });
+}
+
+// Builds an update pipeline that folds one page view payload into its session.
+// The whole rollup happens in a single atomic update: first-touch fields are
+// only set when missing, page views seen for the first time bump the page
+// count and become the exit page, and engaged time grows by the difference
+// from the last engaged time recorded for that page view. Trackers that don't
+// measure engaged time count the elapsed time instead.
+function buildSessionUpdate(payload, requestMeta, now) {
+  if (!payload.sessionId || requestMeta.privacyMode === 'restricted') {
+    return null;
+  }
+
+  const pageViewId = { $literal: payload.pageViewId };
+  const elapsedMs = Number.isFinite(payload.elapsedMs) ? payload.elapsedMs : 0;
+  const engagedMs = Number.isFinite(payload.engagedMs) ? payload.engagedMs : elapsedMs;
+  const geo = requestMeta.ipGeolocation || {};
+  const { isBot } = classifyPageView(requestMeta.botFamily, payload);
+
+  const pageViews = { $ifNull: ['$pageViews', []] };
+  const isKnown = { $in: [pageViewId, { $ifNull: ['$pageViews.pageViewId', []] }] };
+  const previous = {
+    $ifNull: [
+      { $first: { $filter: { input: pageViews, cond: { $eq: ['$$this.pageViewId', pageViewId] } } } },
+      { elapsedMs: 0, engagedMs: 0 }
+    ]
+  };
+  // Entries stored before engaged time existed only have `elapsedMs`
+  const previousEngagedMs = {
+    $ifNull: [{ $getField: { field: 'engagedMs', input: previous } }, { $getField: { field: 'elapsedMs', input: previous } }]
+  };
+
+  return {
+    filter: { sessionId: payload.sessionId },
+    pipeline: [
+      {
+        $set: {
+          siteId: { $ifNull: ['$siteId', { $literal: payload.siteId || DEFAULT_SITE_ID }] },
+          firstSeenAt: { $ifNull: ['$firstSeenAt', now] },
+          firstPageViewId: { $ifNull: ['$firstPageViewId', pageViewId] },
+          firstPath: { $ifNull: ['$firstPath', { $literal: payload.path }] },
+          // Visitor fields are only set once, like the rest of the first touch
+          visitorId: { $ifNull: ['$visitorId', { $literal: payload.visitorId || null }] },
+          firstVisitAt: { $ifNull: ['$firstVisitAt', { $literal: payload.firstVisitAt || null }] },
+          visitCount: { $ifNull: ['$visitCount', { $literal: payload.visitCount || null }] },
+          isReturningVisitor: {
+            $ifNull: ['$isReturningVisitor', { $literal: payload.visitCount ? payload.visitCount > 1 : null }]
+          },
+          firstTouch: { $ifNull: ['$firstTouch', { $literal: payload.firstTouch || null }] },
+          attribution: {
+            $ifNull: ['$attribution', {
+              $literal: {
+                utm: payload.utm || {},
+                gclid: payload.gclid || null,
+                referrer: payload.referrer || null
+              }
+            }]
+          },
+          country: { $ifNull: ['$country', { $literal: geo.country || null }] },
+          device: { $ifNull: ['$device', { $literal: parseDevice(requestMeta.userAgent, payload.viewport) }] },
+          isBot: { $or: [{ $ifNull: ['$isBot', false] }, isBot] },
+          lastPageViewId: { $cond: [isKnown, '$lastPageViewId', pageViewId] },
+          lastPath: { $cond: [isKnown, '$lastPath', { $literal: payload.path }] },
+          lastSeenAt: { $max: [{ $ifNull: ['$lastSeenAt', now] }, now] },
+          pageCount: { $add: [{ $ifNull: ['$pageCount', 0] }, { $cond: [isKnown, 0, 1] }] },
+          totalEngagedMs: {
+            $add: [
+              { $ifNull: ['$totalEngagedMs', 0] },
+              { $max: [0, { $subtract: [engagedMs, previousEngagedMs] }] }
+            ]
+          },
+          pageViews: {
+            $cond: [
+              isKnown,
+              {
+                $map: {
+                  input: pageViews,
+                  in: {
+                    $cond: [
+                      { $eq: ['$$this.pageViewId', pageViewId] },
+                      {
+                        $mergeObjects: ['$$this', {
+                          elapsedMs: { $max: ['$$this.elapsedMs', elapsedMs] },
+                          engagedMs: { $max: [{ $ifNull: ['$$this.engagedMs', '$$this.elapsedMs'] }, engagedMs] }
+                        }]
+                      },
+                      '$$this'
+                    ]
+                  }
+                }
+              },
+              {
+                $slice: [
+                  {
+                    $concatArrays: [
+                      pageViews,
+                      [{ $literal: { pageViewId: payload.pageViewId, path: payload.path, firstSeenAt: now, elapsedMs, engagedMs } }]
+                    ]
+                  },
+                  -MAX_SESSION_PAGE_VIEWS
+                ]
+              }
+            ]
+          }
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,85 @@
+'use strict';
+
+// Each site is one property running the tracker. `origins` are the page
+// origins allowed to send events for the site. A `*` in place of the leftmost
+// subdomain label matches any subdomain, so `https://*.mongoosejs.com` covers
+// the docs and every demo subdomain.
+const DEFAULT_SITES = [
+  {
+    id: 'mongoosestudio',
+    origins: ['https://mongoosestudio.app', 'https://studio.mongoosejs.io']
+  },
+  {
+    id: 'mongoosejs',
+    origins: ['https://mongoosejs.com', 'https://*.mongoosejs.com', 'https://*.mongoosejs.io']
+  }
+];
+// Payloads without a `siteId` come from trackers deployed before sites existed
+const DEFAULT_SITE_ID = 'mongoosestudio';
+const SITE_ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+module.exports = {
+  DEFAULT_SITES,
+  DEFAULT_SITE_ID,
+  SITE_ID_REGEX,
+  getSite,
+  getSites,
+  parseSites,
+  siteFilter
+};
+
+// `TRACK_SITES` is a JSON array of sites in the same shape as `DEFAULT_SITES`.
+// Sites with the same id as a default replace it.
+function getSites() {
+  const value = process.env.TRACK_SITES;
+  if (value == null || value.trim() === '') {
+    return DEFAULT_SITES;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`Invalid TRACK_SITES, must be a JSON array: ${err.message}`);
+  }
+  const sites = parseSites(parsed);
+  const ids = new Set(sites.map(site => site.id));
+
+  return DEFAULT_SITES.filter(site => !ids.has(site.id)).concat(sites);
+}
+
+function parseSites(sites) {
+  if (!Array.isArray(sites)) {
+    throw new Error('Invalid TRACK_SITES, must be a JSON array');
+  }
+
+  const seen = new Set();
+  return sites.map((site, i) => {
+    const where = `TRACK_SITES[${i}]`;
+    if (site == null || typeof site.id !== 'string' || !SITE_ID_REGEX.test(site.id)) {
+      throw new Error(`Invalid ${where}: \`id\` must match ${SITE_ID_REGEX}`);
+    }
+    if (seen.has(site.id)) {
+      throw new Error(`Invalid ${where}: duplicate site id "${site.id}"`);
+    }
+    seen.add(site.id);
+    if (!Array.isArray(site.origins) || site.origins.some(origin => typeof origin !== 'string')) {
+      throw new Error(`Invalid ${where}: \`origins\` must be an array of strings`);
+    }
+
+    return {
+      id: site.id,
+      origins: site.origins.map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+    };
+  });
+}
+
+function getSite(siteId) {
+  return getSites().find(site => site.id === siteId) || null;
+}
+
+// Query condition on `siteId`. Documents stored before site IDs existed don't
+// have one and belong to the default site.
+function siteFilter(siteId) {
+  return siteId === DEFAULT_SITE_ID ? { $in: [siteId, null] } : siteId;
+}
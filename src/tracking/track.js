@@ -0,0 +1,466 @@
+'use strict';
+
+const { classifyPageView, detectBotFamily } = require('./botDetection');
+const { recordClientErrors } = require('./clientErrors');
+const { ensureConnection, resetConnection } = require('./connection');
+const { recordTrackEvents } = require('./events');
+const { checkOrigin, getCorsHeaders } = require('./origins');
+const { coarsenPayload, getDailySalt, getPrivacyMode, protectRequestMeta, resetSaltCache } = require('./privacy');
+const { checkRateLimits } = require('./rateLimit');
+const { updateSession } = require('./sessions');
+const { DEFAULT_SITE_ID } = require('./sites');
+const validatePayload = require('./validatePayload');
+
+const MAX_BATCH_SIZE = 50;
+const MAX_BODY_BYTES = 128 * 1024;
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+module.exports = {
+  buildPageViewUpdate,
+  getRequestMeta,
+  handleTrackRequest,
+  normalizePayload,
+  normalizePayloads,
+  resetState,
+  upsertPageView,
+  upsertPageViews
+};
+
+// Platform independent entry point. Adapters translate their platform's
+// request into `{ method, headers, body, ipAddress, ipGeolocation }` and the
+// returned `{ statusCode, headers, body }` back into a response. A null
+// `body` means the response has no content.
+async function handleTrackRequest(request) {
+  const origin = request.headers.origin || null;
+  if (request.method === 'OPTIONS') {
+    return handlePreflight(origin);
+  }
+
+  if (request.method !== 'POST') {
+    return reply(405, { ok: false, error: 'Method Not Allowed' }, { Allow: 'POST, OPTIONS' });
+  }
+
+  // Origins that no site allows are rejected before the body is parsed. Once
+  // the payloads name their site, the origin is checked against that site.
+  if (checkOrigin(origin).rejected) {
+    return originNotAllowed();
+  }
+
+  const response = await trackPayloads(request);
+  response.headers = { ...getCorsHeaders(origin), ...response.headers };
+  return response;
+}
+
+async function trackPayloads(request) {
+  if (!process.env.TRACK_MONGODB_CONNECTION_STRING) {
+    return reply(500, { ok: false, error: 'Missing TRACK_MONGODB_CONNECTION_STRING' });
+  }
+
+  if (getBodySize(request.body) > MAX_BODY_BYTES) {
+    return reply(413, { ok: false, error: `Tracking request body cannot exceed ${MAX_BODY_BYTES} bytes` });
+  }
+
+  const { payloads, isBatch } = normalizePayloads(request.body);
+
+  if (!isBatch) {
+    return trackSingle(request, payloads[0]);
+  }
+
+  if (payloads.length === 0) {
+    return reply(400, { ok: false, error: 'Empty tracking batch' });
+  }
+  if (payloads.length > MAX_BATCH_SIZE) {
+    return reply(413, { ok: false, error: `Tracking batch cannot contain more than ${MAX_BATCH_SIZE} items` });
+  }
+
+  const now = new Date();
+
+  const values = [];
+  const results = payloads.map((payload, index) => {
+    const { value, errors, warnings } = validatePayload(payload);
+    if (errors.length > 0) {
+      return { index, ok: false, error: 'Invalid tracking payload', fields: errors };
+    }
+    values[index] = value;
+    const result = { index, ok: true, pageViewId: value.pageViewId };
+    if (warnings.length > 0) {
+      result.skipped = warnings;
+    }
+    return result;
+  });
+
+  if (!results.some(result => result.ok)) {
+    return reply(400, { ok: false, error: 'No valid tracking payloads in batch', results });
+  }
+
+  // The origin is checked per site, so a batch can only belong to one
+  const siteIds = new Set(values.filter(Boolean).map(value => value.siteId));
+  if (siteIds.size > 1) {
+    return reply(400, { ok: false, error: 'All items in a tracking batch must have the same `siteId`' });
+  }
+  const [siteId] = siteIds;
+  if (checkOrigin(request.headers.origin, siteId).rejected) {
+    return originNotAllowed();
+  }
+
+  const requestMeta = getRequestMeta(request, siteId);
+  for (const result of results) {
+    if (result.ok && shouldDropBotTraffic(values[result.index], requestMeta)) {
+      result.dropped = 'bot';
+    }
+  }
+  const accepted = results.filter(result => result.ok && !result.dropped);
+  if (accepted.length === 0) {
+    return reply(202, { ok: true, receivedAt: now.toISOString(), results });
+  }
+
+  const conn = await ensureConnection();
+  const rateLimit = await checkRateLimits(
+    conn.models.RateLimit,
+    requestMeta,
+    accepted.map(result => values[result.index]),
+    await getDailySalt(conn, now),
+    now
+  );
+  if (!rateLimit.allowed) {
+    return rateLimited(rateLimit);
+  }
+
+  const storedMeta = await protectRequestMeta(
+    conn,
+    requestMeta,
+    getPrivacyMode(request.headers, accepted.map(result => values[result.index])),
+    now
+  );
+  const outcomes = await upsertPageViews(
+    conn.models.PageView,
+    accepted.map(result => values[result.index]),
+    storedMeta,
+    now
+  );
+  for (const [i, outcome] of outcomes.entries()) {
+    const result = accepted[i];
+    if (!outcome.ok) {
+      result.ok = false;
+      result.error = 'Failed to store tracking payload';
+      continue;
+    }
+    if (outcome.dropped) {
+      result.dropped = outcome.dropped;
+    }
+    // Sequential so that payloads from the same session don't race to insert it
+    await updateSession(conn.models.Session, values[result.index], storedMeta, now);
+  }
+  const stored = accepted.filter(result => result.ok).map(result => values[result.index]);
+  await recordTrackEvents(conn.models.TrackEvent, stored, storedMeta, now);
+  await recordClientErrors(conn, stored, storedMeta, now);
+
+  return reply(202, { ok: true, receivedAt: now.toISOString(), results });
+}
+
+async function trackSingle(request, body) {
+  const { value: payload, errors, warnings } = validatePayload(body);
+  if (errors.length > 0) {
+    const status = errors.some(error => error.type === 'too_large') ? 413 : 400;
+    return reply(status, { ok: false, error: 'Invalid tracking payload', fields: errors });
+  }
+
+  if (checkOrigin(request.headers.origin, payload.siteId).rejected) {
+    return originNotAllowed();
+  }
+
+  const requestMeta = getRequestMeta(request, payload.siteId);
+  const now = new Date();
+
+  if (shouldDropBotTraffic(payload, requestMeta)) {
+    return reply(202, { ok: true, pageViewId: payload.pageViewId, receivedAt: now.toISOString(), dropped: 'bot' });
+  }
+
+  const conn = await ensureConnection();
+  const rateLimit = await checkRateLimits(conn.models.RateLimit, requestMeta, [payload], await getDailySalt(conn, now), now);
+  if (!rateLimit.allowed) {
+    return rateLimited(rateLimit);
+  }
+
+  const storedMeta = await protectRequestMeta(conn, requestMeta, getPrivacyMode(request.headers, [payload]), now);
+  const { dropped } = await upsertPageView(conn.models.PageView, payload, storedMeta, now);
+  await recordTrackEvents(conn.models.TrackEvent, [payload], storedMeta, now);
+  await recordClientErrors(conn, [payload], storedMeta, now);
+  await updateSession(conn.models.Session, payload, storedMeta, now);
+
+  const result = { ok: true, pageViewId: payload.pageViewId, receivedAt: now.toISOString() };
+  if (dropped) {
+    result.dropped = dropped;
+  }
+  // Invalid custom events and page types that were left out of the page view
+  if (warnings.length > 0) {
+    result.skipped = warnings;
+  }
+  return reply(202, result);
+}
+
+function handlePreflight(origin) {
+  if (checkOrigin(origin).rejected) {
+    return originNotAllowed();
+  }
+  return reply(204, null, getCorsHeaders(origin));
+}
+
+function originNotAllowed() {
+  return reply(403, { ok: false, error: 'Origin not allowed' }, { Vary: 'Origin' });
+}
+
+function rateLimited(rateLimit) {
+  return reply(429, {
+    ok: false,
+    error: `Too many tracking requests for this ${rateLimit.scope}`,
+    retryAfterSeconds: rateLimit.retryAfterSeconds
+  }, { 'Retry-After': String(rateLimit.retryAfterSeconds) });
+}
+
+function reply(statusCode, body, headers) {
+  return { statusCode, headers: headers || {}, body };
+}
+
+function resetState() {
+  resetConnection();
+  resetSaltCache();
+}
+
+function shouldDropBotTraffic(payload, requestMeta) {
+  if (process.env.TRACK_DROP_BOT_TRAFFIC !== 'true') {
+    return false;
+  }
+  return classifyPageView(requestMeta.botFamily, payload).isBot;
+}
+
+function getBodySize(body) {
+  if (body == null) {
+    return 0;
+  }
+  if (Buffer.isBuffer(body)) {
+    return body.length;
+  }
+  if (typeof body === 'string') {
+    return Buffer.byteLength(body);
+  }
+  return Buffer.byteLength(JSON.stringify(body));
+}
+
+// Upserts are monotonic: the filter only matches documents with an older
+// `sequence`, so a delayed heartbeat can't overwrite a later flush. When the
+// page view exists with a newer or equal sequence the upsert collides on the
+// unique `pageViewId` index, which is how stale and duplicate updates surface.
+async function upsertPageView(PageView, payload, requestMeta, now) {
+  const { filter, update } = buildPageViewUpdate(payload, requestMeta, now);
+
+  try {
+    await PageView.findOneAndUpdate(filter, update, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true
+    });
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_ERROR_CODE) {
+      throw err;
+    }
+    return { dropped: await retryOrDropUpdate(PageView, payload, filter, update) };
+  }
+
+  return { dropped: null };
+}
+
+// Writes a batch of payloads with one round trip. Resolves to one outcome per
+// payload, so the caller can report per-item results.
+async function upsertPageViews(PageView, payloads, requestMeta, now) {
+  const updates = payloads.map(payload => buildPageViewUpdate(payload, requestMeta, now));
+  const outcomes = payloads.map(() => ({ ok: true, dropped: null }));
+
+  let writeErrors = [];
+  try {
+    await PageView.bulkWrite(updates.map(({ filter, update }) => ({
+      updateOne: {
+        filter,
+        update,
+        upsert: true,
+        setDefaultsOnInsert: true
+      }
+    })), { ordered: false });
+  } catch (err) {
+    if (!Array.isArray(err.writeErrors)) {
+      throw err;
+    }
+    writeErrors = err.writeErrors;
+  }
+
+  for (const writeError of writeErrors) {
+    const index = writeError.index;
+    if (writeError.code !== DUPLICATE_KEY_ERROR_CODE) {
+      outcomes[index].ok = false;
+      continue;
+    }
+    const { filter, update } = updates[index];
+    outcomes[index].dropped = await retryOrDropUpdate(PageView, payloads[index], filter, update);
+  }
+
+  return outcomes;
+}
+
+// A duplicate key error means either two requests raced to insert the same
+// page view, or the stored page view is already at this sequence or newer.
+// Retrying without upsert distinguishes the two; if the retry still doesn't
+// match, the update is dropped and counted on the page view.
+async function retryOrDropUpdate(PageView, payload, filter, update) {
+  const retry = await PageView.updateOne(filter, update);
+  if (retry.matchedCount > 0) {
+    return null;
+  }
+
+  const duplicate = await PageView.updateOne(
+    { pageViewId: payload.pageViewId, sequence: filter.sequence.$lt },
+    { $inc: { 'droppedUpdates.duplicate': 1 } }
+  );
+  if (duplicate.matchedCount > 0) {
+    return 'duplicate';
+  }
+
+  await PageView.updateOne(
+    { pageViewId: payload.pageViewId },
+    { $inc: { 'droppedUpdates.stale': 1 } }
+  );
+  return 'stale';
+}
+
+function buildPageViewUpdate(payload, requestMeta, now) {
+  const sequence = Number.isFinite(payload.sequence) ? payload.sequence : 0;
+  const { isBot, botFamily } = classifyPageView(requestMeta.botFamily, payload);
+  if (requestMeta.privacyMode === 'restricted') {
+    payload = coarsenPayload(payload);
+  }
+  const $set = {
+    siteId: payload.siteId || DEFAULT_SITE_ID,
+    sessionId: payload.sessionId || null,
+    visitorId: payload.visitorId || null,
+    firstVisitAt: payload.firstVisitAt || null,
+    visitCount: payload.visitCount || null,
+    firstTouch: payload.firstTouch || { utm: {}, referrer: null, gclid: null },
+    pageType: payload.pageType || 'page',
+    path: payload.path,
+    search: payload.search || '',
+    url: payload.url || null,
+    title: payload.title || null,
+    referrer: payload.referrer || null,
+    utm: payload.utm || {},
+    gclid: payload.gclid || null,
+    sequence,
+    reason: payload.reason || null,
+    visibilityState: payload.visibilityState || null,
+    viewport: payload.viewport || { width: null, height: null },
+    sampleRate: payload.sampleRate || 1,
+    isBot,
+    botFamily,
+    lastSeenAt: now,
+    requestMeta
+  };
+  // `isFinal` only ever flips to true, so a later non-final flush (e.g. the tab
+  // becoming visible again) can't reopen a page view that already ended.
+  if (payload.isFinal === true) {
+    $set.isFinal = true;
+  }
+  // Only final flushes carry web vitals, so heartbeats don't clear them
+  if (payload.webVitals != null) {
+    $set.webVitals = payload.webVitals;
+  }
+
+  const $max = {
+    elapsedMs: Number.isFinite(payload.elapsedMs) ? payload.elapsedMs : 0,
+    maxScrollDepthPercent: Number.isFinite(payload.maxScrollDepthPercent) ? payload.maxScrollDepthPercent : 0
+  };
+  if (Number.isFinite(payload.engagedMs)) {
+    $max.engagedMs = payload.engagedMs;
+  }
+
+  return {
+    filter: { pageViewId: payload.pageViewId, sequence: { $lt: sequence } },
+    update: {
+      $set,
+      $max,
+      $setOnInsert: {
+        pageViewId: payload.pageViewId,
+        firstSeenAt: now
+      }
+    }
+  };
+}
+
+// Without a `siteId` the origin counts as allowed if any site allows it
+function getRequestMeta(request, siteId) {
+  const headers = request.headers;
+
+  return {
+    ipAddress: request.ipAddress || null,
+    userAgent: headers['user-agent'] || null,
+    origin: headers.origin || null,
+    originAllowed: checkOrigin(headers.origin, siteId).allowed,
+    botFamily: detectBotFamily(headers),
+    ipGeolocation: request.ipGeolocation
+  };
+}
+
+function normalizePayload(body) {
+  if (body == null) {
+    return {};
+  }
+
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (err) {
+      return {};
+    }
+  }
+
+  return body;
+}
+
+// Accepts a single JSON object, a JSON array of objects, or an NDJSON body
+// (one JSON object per line). The whole body is parsed as JSON first, so
+// pretty-printed JSON isn't mistaken for NDJSON. Lines that fail to parse
+// become `null` items so batch results stay aligned with the lines the client
+// sent.
+function normalizePayloads(body) {
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+
+  if (Array.isArray(body)) {
+    return { payloads: body, isBatch: true };
+  }
+
+  if (typeof body === 'string') {
+    const trimmed = body.trim();
+    try {
+      return normalizePayloads(JSON.parse(trimmed));
+    } catch (err) {
+      // Not a single JSON value, try NDJSON below
+    }
+
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length > 1 && !trimmed.startsWith('[')) {
+      return {
+        payloads: lines.map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (err) {
+            return null;
+          }
+        }),
+        isBatch: true
+      };
+    }
+
+    return { payloads: [{}], isBatch: false };
+  }
+
+  return { payloads: [normalizePayload(body)], isBatch: false };
+}
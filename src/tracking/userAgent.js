@@ -0,0 +1,79 @@
+'use strict';
+
+// Coarse user agent parsing, good enough to segment reports. Order matters:
+// Edge and Opera include "Chrome", and Chrome includes "Safari".
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const TABLET_MAX_WIDTH = 1024;
+const MOBILE_MAX_WIDTH = 767;
+
+module.exports = {
+  getBrowser,
+  getDeviceType,
+  getOperatingSystem,
+  parseDevice
+};
+
+function parseDevice(userAgent, viewport) {
+  return {
+    type: getDeviceType(userAgent, viewport),
+    os: getOperatingSystem(userAgent),
+    browser: getBrowser(userAgent)
+  };
+}
+
+function getDeviceType(userAgent, viewport) {
+  if (userAgent) {
+    if (/iPad|Tablet|Android(?!.*Mobile)/.test(userAgent)) {
+      return 'tablet';
+    }
+    if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+      return 'mobile';
+    }
+    if (/Windows|Macintosh|X11|CrOS/.test(userAgent)) {
+      return 'desktop';
+    }
+  }
+
+  // Fall back to the viewport when the user agent is missing or unrecognized
+  const width = viewport ? viewport.width : null;
+  if (!width) {
+    return null;
+  }
+  if (width <= MOBILE_MAX_WIDTH) {
+    return 'mobile';
+  }
+  return width <= TABLET_MAX_WIDTH ? 'tablet' : 'desktop';
+}
+
+function getBrowser(userAgent) {
+  return matchName(BROWSERS, userAgent);
+}
+
+function getOperatingSystem(userAgent) {
+  return matchName(OPERATING_SYSTEMS, userAgent);
+}
+
+function matchName(candidates, userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+  const match = candidates.find(({ pattern }) => pattern.test(userAgent));
+  return match ? match.name : null;
+}
@@ -0,0 +1,513 @@
+'use strict';
+
+const { DEFAULT_SITE_ID, SITE_ID_REGEX, getSite } = require('./sites');
+
+const PAGE_TYPES = [
+  'page',
+  'home',
+  'pricing',
+  'content',
+  'docs',
+  'changelog',
+  'start',
+  'buy',
+  'login',
+  'account',
+  'demo'
+];
+const VISIBILITY_STATES = ['visible', 'hidden', 'prerender'];
+// Trackers never send anything once consent is denied
+const CONSENT_STATES = ['granted', 'essential'];
+// `PerformanceNavigationTiming.type`, plus `route_change` for page views the
+// tracker started on a single-page app route change
+const NAVIGATION_TYPES = ['navigate', 'reload', 'back_forward', 'prerender', 'route_change'];
+const CLIENT_ERROR_TYPES = ['error', 'unhandledrejection'];
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+const EVENT_NAME_REGEX = /^[A-Za-z0-9_.:-]+$/;
+
+const LIMITS = {
+  idLength: 128,
+  pathLength: 2048,
+  urlLength: 4096,
+  titleLength: 512,
+  reasonLength: 64,
+  utmValueLength: 256,
+  eventNameLength: 64,
+  maxCustomEvents: 100,
+  propertyDepth: 3,
+  propertyKeys: 25,
+  propertyKeyLength: 64,
+  propertyStringLength: 512,
+  propertyArrayLength: 25,
+  maxElapsedMs: 30 * 24 * 60 * 60 * 1000,
+  maxServerEventAgeMs: 30 * 24 * 60 * 60 * 1000,
+  maxServerEventClockSkewMs: 5 * 60 * 1000,
+  maxViewportSize: 100000,
+  maxWebVitalMs: 10 * 60 * 1000,
+  maxCls: 100,
+  maxClientErrors: 10,
+  errorMessageLength: 1024,
+  errorStackLength: 4096
+};
+
+// Validates a tracking payload and returns a sanitized copy containing only the
+// fields the tracking pipeline knows about. Every problem is collected rather
+// than stopping at the first, so clients get a complete list in one response.
+// Errors of type `too_large` are limits on counts, which callers report as 413.
+// A bad custom event or an unknown `pageType` only ends up in `warnings`: the
+// tracker resends every event on each flush, so rejecting the payload for one
+// of them would lose the rest of the page view.
+module.exports = function validatePayload(payload) {
+  const errors = [];
+  const warnings = [];
+
+  if (payload == null || typeof payload !== 'object' || Array.isArray(payload)) {
+    errors.push(invalid('payload', 'must be a JSON object'));
+    return { value: null, errors, warnings };
+  }
+
+  const value = {
+    siteId: validateSiteId(payload.siteId, errors) || DEFAULT_SITE_ID,
+    pageViewId: requiredString(payload, 'pageViewId', LIMITS.idLength, errors),
+    sessionId: optionalString(payload, 'sessionId', LIMITS.idLength, errors),
+    visitorId: optionalString(payload, 'visitorId', LIMITS.idLength, errors),
+    firstVisitAt: optionalDate(payload, 'firstVisitAt', errors),
+    visitCount: optionalInteger(payload, 'visitCount', errors),
+    firstTouch: validateFirstTouch(payload.firstTouch, errors),
+    pageType: validatePageType(payload.pageType, warnings),
+    path: requiredString(payload, 'path', LIMITS.pathLength, errors),
+    search: optionalString(payload, 'search', LIMITS.pathLength, errors),
+    url: optionalString(payload, 'url', LIMITS.urlLength, errors),
+    title: optionalString(payload, 'title', LIMITS.titleLength, errors),
+    referrer: optionalString(payload, 'referrer', LIMITS.urlLength, errors),
+    elapsedMs: optionalNumber(payload, 'elapsedMs', 0, LIMITS.maxElapsedMs, errors),
+    engagedMs: optionalNumber(payload, 'engagedMs', 0, LIMITS.maxElapsedMs, errors),
+    maxScrollDepthPercent: optionalNumber(payload, 'maxScrollDepthPercent', 0, 100, errors),
+    utm: validateUtm(payload.utm, errors),
+    gclid: optionalString(payload, 'gclid', LIMITS.utmValueLength, errors),
+    customEvents: validateCustomEvents(payload.customEvents, errors, warnings),
+    clientErrors: validateClientErrors(payload.clientErrors, errors),
+    sequence: optionalInteger(payload, 'sequence', errors),
+    reason: optionalString(payload, 'reason', LIMITS.reasonLength, errors),
+    isFinal: optionalBoolean(payload, 'isFinal', errors),
+    visibilityState: optionalEnum(payload, 'visibilityState', VISIBILITY_STATES, errors),
+    viewport: validateViewport(payload.viewport, errors),
+    webVitals: validateWebVitals(payload.webVitals, errors),
+    webdriver: optionalBoolean(payload, 'webdriver', errors),
+    sampleRate: optionalNumber(payload, 'sampleRate', 0, 1, errors),
+    consent: optionalEnum(payload, 'consent', CONSENT_STATES, errors)
+  };
+
+  return { value: errors.length === 0 ? value : null, errors, warnings };
+};
+
+// Validates an event reported by one of our own servers, like a payment
+// webhook. `eventId` is required so retried deliveries can be deduplicated.
+module.exports.validateServerEvent = function validateServerEvent(event, now) {
+  const errors = [];
+
+  if (!isPlainObject(event)) {
+    errors.push(invalid('event', 'must be a JSON object'));
+    return { value: null, errors };
+  }
+
+  const name = requiredString(event, 'name', LIMITS.eventNameLength, errors);
+  if (name != null && !EVENT_NAME_REGEX.test(name)) {
+    errors.push(invalid('name', 'may only contain letters, numbers, and _ . : -'));
+  }
+
+  let properties = {};
+  if (event.properties != null && !isPlainObject(event.properties)) {
+    errors.push(invalid('properties', 'must be an object'));
+  } else if (event.properties != null) {
+    properties = validateProperties(event.properties, 'properties', 1, errors);
+  }
+
+  let occurredAt = now;
+  if (event.occurredAt != null) {
+    occurredAt = new Date(event.occurredAt);
+    if (typeof event.occurredAt !== 'string' || isNaN(occurredAt.getTime())) {
+      errors.push(invalid('occurredAt', 'must be an ISO 8601 date string'));
+    } else if (occurredAt.getTime() > now.getTime() + LIMITS.maxServerEventClockSkewMs) {
+      errors.push(invalid('occurredAt', 'cannot be in the future'));
+    } else if (occurredAt.getTime() < now.getTime() - LIMITS.maxServerEventAgeMs) {
+      errors.push(invalid('occurredAt', `cannot be more than ${LIMITS.maxServerEventAgeMs / (24 * 60 * 60 * 1000)} days old`));
+    }
+  }
+
+  const value = {
+    eventId: requiredString(event, 'eventId', LIMITS.idLength, errors),
+    siteId: validateSiteId(event.siteId, errors),
+    name,
+    properties,
+    occurredAt,
+    sessionId: optionalString(event, 'sessionId', LIMITS.idLength, errors),
+    pageViewId: optionalString(event, 'pageViewId', LIMITS.idLength, errors)
+  };
+
+  return { value: errors.length === 0 ? value : null, errors };
+};
+
+module.exports.LIMITS = LIMITS;
+module.exports.PAGE_TYPES = PAGE_TYPES;
+module.exports.UTM_KEYS = UTM_KEYS;
+
+function requiredString(payload, field, maxLength, errors) {
+  if (payload[field] == null || payload[field] === '') {
+    errors.push(invalid(field, 'is required'));
+    return null;
+  }
+  return optionalString(payload, field, maxLength, errors);
+}
+
+function optionalString(payload, field, maxLength, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    errors.push(invalid(field, 'must be a string'));
+    return null;
+  }
+  if (value.length > maxLength) {
+    errors.push(invalid(field, `must be at most ${maxLength} characters`));
+    return null;
+  }
+  return value;
+}
+
+function validateSiteId(siteId, errors) {
+  if (siteId == null) {
+    return null;
+  }
+  if (typeof siteId !== 'string' || !SITE_ID_REGEX.test(siteId)) {
+    errors.push(invalid('siteId', `must match ${SITE_ID_REGEX}`));
+    return null;
+  }
+  if (getSite(siteId) == null) {
+    errors.push(invalid('siteId', 'must be a configured site'));
+    return null;
+  }
+  return siteId;
+}
+
+function optionalDate(payload, field, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) {
+    errors.push(invalid(field, 'must be an ISO 8601 date string'));
+    return null;
+  }
+  return date;
+}
+
+function optionalEnum(payload, field, allowed, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  if (!allowed.includes(value)) {
+    errors.push(invalid(field, `must be one of: ${allowed.join(', ')}`));
+    return null;
+  }
+  return value;
+}
+
+function validatePageType(pageType, warnings) {
+  if (pageType == null) {
+    return null;
+  }
+  if (!PAGE_TYPES.includes(pageType)) {
+    warnings.push(invalid('pageType', `must be one of: ${PAGE_TYPES.join(', ')}, counted as "page"`));
+    return 'page';
+  }
+  return pageType;
+}
+
+function optionalNumber(payload, field, min, max, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(invalid(field, 'must be a finite number'));
+    return null;
+  }
+  if (value < min || value > max) {
+    errors.push(invalid(field, `must be between ${min} and ${max}`));
+    return null;
+  }
+  return value;
+}
+
+function optionalInteger(payload, field, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  if (!Number.isSafeInteger(value) || value < 0) {
+    errors.push(invalid(field, 'must be a non-negative integer'));
+    return null;
+  }
+  return value;
+}
+
+function optionalBoolean(payload, field, errors) {
+  const value = payload[field];
+  if (value == null) {
+    return null;
+  }
+  if (typeof value !== 'boolean') {
+    errors.push(invalid(field, 'must be a boolean'));
+    return null;
+  }
+  return value;
+}
+
+function validateUtm(utm, errors) {
+  if (utm == null) {
+    return null;
+  }
+  if (!isPlainObject(utm)) {
+    errors.push(invalid('utm', 'must be an object'));
+    return null;
+  }
+
+  const value = {};
+  for (const key of Object.keys(utm)) {
+    if (!UTM_KEYS.includes(key)) {
+      errors.push(invalid(`utm.${key}`, 'is not a supported UTM parameter'));
+      continue;
+    }
+    const utmValue = optionalString(utm, key, LIMITS.utmValueLength, []);
+    if (utmValue == null) {
+      errors.push(invalid(`utm.${key}`, `must be a string of at most ${LIMITS.utmValueLength} characters`));
+      continue;
+    }
+    value[key] = utmValue;
+  }
+  return value;
+}
+
+// The visitor's first landing: same fields as on a page view, from the page
+// view that created the visitor id
+function validateFirstTouch(firstTouch, errors) {
+  if (firstTouch == null) {
+    return null;
+  }
+  if (!isPlainObject(firstTouch)) {
+    errors.push(invalid('firstTouch', 'must be an object'));
+    return null;
+  }
+
+  const fieldErrors = [];
+  const value = {
+    utm: validateUtm(firstTouch.utm, fieldErrors) || {},
+    referrer: optionalString(firstTouch, 'referrer', LIMITS.urlLength, fieldErrors),
+    gclid: optionalString(firstTouch, 'gclid', LIMITS.utmValueLength, fieldErrors)
+  };
+  for (const error of fieldErrors) {
+    errors.push(invalid(`firstTouch.${error.field}`, error.message));
+  }
+  return value;
+}
+
+function validateViewport(viewport, errors) {
+  if (viewport == null) {
+    return null;
+  }
+  if (!isPlainObject(viewport)) {
+    errors.push(invalid('viewport', 'must be an object'));
+    return null;
+  }
+
+  const widthErrors = [];
+  const heightErrors = [];
+  const value = {
+    width: optionalNumber(viewport, 'width', 0, LIMITS.maxViewportSize, widthErrors),
+    height: optionalNumber(viewport, 'height', 0, LIMITS.maxViewportSize, heightErrors)
+  };
+  for (const error of widthErrors.concat(heightErrors)) {
+    errors.push(invalid(`viewport.${error.field}`, error.message));
+  }
+  return value;
+}
+
+function validateWebVitals(webVitals, errors) {
+  if (webVitals == null) {
+    return null;
+  }
+  if (!isPlainObject(webVitals)) {
+    errors.push(invalid('webVitals', 'must be an object'));
+    return null;
+  }
+
+  const vitalErrors = [];
+  const value = {
+    lcpMs: optionalNumber(webVitals, 'lcpMs', 0, LIMITS.maxWebVitalMs, vitalErrors),
+    cls: optionalNumber(webVitals, 'cls', 0, LIMITS.maxCls, vitalErrors),
+    inpMs: optionalNumber(webVitals, 'inpMs', 0, LIMITS.maxWebVitalMs, vitalErrors),
+    fcpMs: optionalNumber(webVitals, 'fcpMs', 0, LIMITS.maxWebVitalMs, vitalErrors),
+    ttfbMs: optionalNumber(webVitals, 'ttfbMs', 0, LIMITS.maxWebVitalMs, vitalErrors),
+    navigationType: optionalEnum(webVitals, 'navigationType', NAVIGATION_TYPES, vitalErrors)
+  };
+  for (const error of vitalErrors) {
+    errors.push(invalid(`webVitals.${error.field}`, error.message));
+  }
+  return value;
+}
+
+// Invalid events become null rather than being removed, so the rest keep the
+// index they are stored under
+function validateCustomEvents(customEvents, errors, warnings) {
+  if (customEvents == null) {
+    return null;
+  }
+  if (!Array.isArray(customEvents)) {
+    errors.push(invalid('customEvents', 'must be an array'));
+    return null;
+  }
+  if (customEvents.length > LIMITS.maxCustomEvents) {
+    errors.push(tooLarge('customEvents', `must contain at most ${LIMITS.maxCustomEvents} events`));
+    return null;
+  }
+
+  return customEvents.map((event, index) => {
+    const field = `customEvents[${index}]`;
+    if (!isPlainObject(event)) {
+      warnings.push(invalid(field, 'must be an object'));
+      return null;
+    }
+
+    const eventErrors = [];
+    const propertyErrors = [];
+    const name = requiredString(event, 'name', LIMITS.eventNameLength, eventErrors);
+    if (name != null && !EVENT_NAME_REGEX.test(name)) {
+      eventErrors.push(invalid('name', 'may only contain letters, numbers, and _ . : -'));
+    }
+    const atMs = optionalNumber(event, 'atMs', 0, LIMITS.maxElapsedMs, eventErrors);
+    let properties = {};
+    if (event.properties != null && !isPlainObject(event.properties)) {
+      eventErrors.push(invalid('properties', 'must be an object'));
+    } else if (event.properties != null) {
+      properties = validateProperties(event.properties, `${field}.properties`, 1, propertyErrors);
+    }
+
+    if (eventErrors.length > 0 || propertyErrors.length > 0) {
+      for (const error of eventErrors) {
+        warnings.push({ ...error, field: `${field}.${error.field}` });
+      }
+      warnings.push(...propertyErrors);
+      return null;
+    }
+
+    return { name, properties, atMs: atMs == null ? 0 : atMs };
+  });
+}
+
+function validateClientErrors(clientErrors, errors) {
+  if (clientErrors == null) {
+    return null;
+  }
+  if (!Array.isArray(clientErrors)) {
+    errors.push(invalid('clientErrors', 'must be an array'));
+    return null;
+  }
+  if (clientErrors.length > LIMITS.maxClientErrors) {
+    errors.push(tooLarge('clientErrors', `must contain at most ${LIMITS.maxClientErrors} errors`));
+    return null;
+  }
+
+  return clientErrors.map((clientError, index) => {
+    const field = `clientErrors[${index}]`;
+    if (!isPlainObject(clientError)) {
+      errors.push(invalid(field, 'must be an object'));
+      return null;
+    }
+
+    const fieldErrors = [];
+    if (clientError.type == null) {
+      fieldErrors.push(invalid('type', 'is required'));
+    }
+    const value = {
+      type: optionalEnum(clientError, 'type', CLIENT_ERROR_TYPES, fieldErrors),
+      message: requiredString(clientError, 'message', LIMITS.errorMessageLength, fieldErrors),
+      stack: optionalString(clientError, 'stack', LIMITS.errorStackLength, fieldErrors),
+      source: optionalString(clientError, 'source', LIMITS.urlLength, fieldErrors),
+      line: optionalInteger(clientError, 'line', fieldErrors),
+      column: optionalInteger(clientError, 'column', fieldErrors),
+      atMs: optionalNumber(clientError, 'atMs', 0, LIMITS.maxElapsedMs, fieldErrors)
+    };
+    for (const error of fieldErrors) {
+      errors.push({ ...error, field: `${field}.${error.field}` });
+    }
+    return value;
+  });
+}
+
+function validateProperties(value, field, depth, errors) {
+  if (value === null || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(invalid(field, 'must be a finite number'));
+    }
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (value.length > LIMITS.propertyStringLength) {
+      errors.push(invalid(field, `must be at most ${LIMITS.propertyStringLength} characters`));
+    }
+    return value;
+  }
+  if (Array.isArray(value) || isPlainObject(value)) {
+    if (depth > LIMITS.propertyDepth) {
+      errors.push(invalid(field, `exceeds maximum nesting depth of ${LIMITS.propertyDepth}`));
+      return null;
+    }
+  }
+  if (Array.isArray(value)) {
+    if (value.length > LIMITS.propertyArrayLength) {
+      errors.push(tooLarge(field, `must contain at most ${LIMITS.propertyArrayLength} items`));
+      return null;
+    }
+    return value.map((item, index) => validateProperties(item, `${field}[${index}]`, depth + 1, errors));
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length > LIMITS.propertyKeys) {
+      errors.push(tooLarge(field, `must contain at most ${LIMITS.propertyKeys} keys`));
+      return null;
+    }
+
+    const result = {};
+    for (const key of keys) {
+      // Properties are stored as Mixed, so keys must not be interpretable as operators or paths
+      if (key.length === 0 || key.length > LIMITS.propertyKeyLength || key.startsWith('$') || key.includes('.')) {
+        errors.push(invalid(`${field}.${key}`, `keys must be 1-${LIMITS.propertyKeyLength} characters and cannot start with "$" or contain "."`));
+        continue;
+      }
+      result[key] = validateProperties(value[key], `${field}.${key}`, depth + 1, errors);
+    }
+    return result;
+  }
+
+  errors.push(invalid(field, 'must be a string, number, boolean, null, array, or object'));
+  return null;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalid(field, message) {
+  return { field, message, type: 'invalid' };
+}
+
+function tooLarge(field, message) {
+  return { field, message, type: 'too_large' };
+}
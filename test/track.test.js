@@ -1,10 +1,23 @@
 'use strict';
 
 const assert = require('assert');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+const adapters = require('../src/tracking/adapters');
+const events = require('../src/tracking/events');
+const netlifyTrack = require('../netlify/functions/track');
+const privacy = require('../src/tracking/privacy');
+const track = require('../src/tracking/track');
 const trackHandler = require('../api/track');
 
+// Every handler test runs against both platform adapters. Requests are written
+// in Vercel's shape and translated into a Netlify event, including geo headers.
+const ADAPTERS = [
+  { name: 'vercel', handler: trackHandler, supportsRegion: true },
+  { name: 'netlify', handler: callNetlifyHandler, supportsRegion: false }
+];
+
 describe('api/track', function() {
   const originalCreateConnection = mongoose.createConnection;
   const originalConnect = mongoose.connect;
@@ -17,24 +30,6 @@ describe('api/track', function() {
     trackHandler._test.resetState();
   });
 
-  it('returns 500 when TRACK_MONGODB_CONNECTION_STRING is missing', async function() {
-    delete process.env.TRACK_MONGODB_CONNECTION_STRING;
-
-    const res = createResponse();
-
-    await trackHandler({
-      method: 'POST',
-      headers: {},
-      body: { pageViewId: 'pv_1', path: '/' }
-    }, res);
-
-    assert.equal(res.statusCode, 500);
-    assert.deepEqual(res.body, {
-      ok: false,
-      error: 'Missing TRACK_MONGODB_CONNECTION_STRING'
-    });
-  });
-
   it('normalizes payload strings and request geo metadata', function() {
     assert.deepEqual(trackHandler._test.normalizePayload('{"path":"/docs"}'), { path: '/docs' });
     assert.deepEqual(trackHandler._test.normalizePayload('{'), {});
@@ -60,6 +55,8 @@ describe('api/track', function() {
       ipAddress: '203.0.113.10',
       userAgent: 'Mozilla/5.0',
       origin: 'https://studio.mongoosejs.io',
+      originAllowed: true,
+      botFamily: null,
       ipGeolocation: {
         city: 'New York',
         country: 'US',
@@ -72,100 +69,1394 @@ describe('api/track', function() {
     });
   });
 
-  it('uses a dedicated createConnection and caches it across requests', async function() {
-    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+  it('normalizes JSON arrays and NDJSON bodies into batches', function() {
+    const { normalizePayloads } = trackHandler._test;
+
+    assert.deepEqual(normalizePayloads({ path: '/' }), { payloads: [{ path: '/' }], isBatch: false });
+    assert.deepEqual(normalizePayloads('[{"path":"/a"},{"path":"/b"}]'), {
+      payloads: [{ path: '/a' }, { path: '/b' }],
+      isBatch: true
+    });
+    assert.deepEqual(normalizePayloads(Buffer.from('{"path":"/a"}\n{oops\n{"path":"/c"}\n')), {
+      payloads: [{ path: '/a' }, null, { path: '/c' }],
+      isBatch: true
+    });
+  });
+
+  it('parses pretty-printed JSON bodies as JSON rather than NDJSON', function() {
+    const { normalizePayloads } = trackHandler._test;
+
+    assert.deepEqual(normalizePayloads(JSON.stringify({ pageViewId: 'a', path: '/' }, null, 2)), {
+      payloads: [{ pageViewId: 'a', path: '/' }],
+      isBatch: false
+    });
+    assert.deepEqual(normalizePayloads(JSON.stringify([{ path: '/a' }, { path: '/b' }], null, 2)), {
+      payloads: [{ path: '/a' }, { path: '/b' }],
+      isBatch: true
+    });
+  });
+
+  it('only applies newer sequences and never reopens or shrinks a page view', function() {
+    const now = new Date('2026-03-01T00:00:00.000Z');
+    const { buildPageViewUpdate } = trackHandler._test;
+
+    const heartbeat = buildPageViewUpdate({
+      pageViewId: 'pv_seq',
+      path: '/',
+      sequence: 3,
+      isFinal: false,
+      elapsedMs: 4500,
+      maxScrollDepthPercent: 40
+    }, {}, now);
+
+    assert.deepEqual(heartbeat.filter, { pageViewId: 'pv_seq', sequence: { $lt: 3 } });
+    assert.equal(heartbeat.update.$set.sequence, 3);
+    assert.equal('isFinal' in heartbeat.update.$set, false);
+    assert.equal('elapsedMs' in heartbeat.update.$set, false);
+    assert.deepEqual(heartbeat.update.$max, { elapsedMs: 4500, maxScrollDepthPercent: 40 });
+
+    const final = buildPageViewUpdate({ pageViewId: 'pv_seq', path: '/', sequence: 7, isFinal: true }, {}, now);
+    assert.equal(final.update.$set.isFinal, true);
+  });
+
+  it('stores engaged time next to elapsed time and adds it to the session', function() {
+    const now = new Date('2026-03-01T00:00:00.000Z');
+    const { buildPageViewUpdate } = trackHandler._test;
+    const { buildSessionUpdate } = require('../src/tracking/sessions');
+
+    const payload = { pageViewId: 'pv_engaged', sessionId: 'session_engaged', path: '/', sequence: 2, elapsedMs: 86400000, engagedMs: 42000 };
+    assert.deepEqual(buildPageViewUpdate(payload, {}, now).update.$max, {
+      elapsedMs: 86400000,
+      maxScrollDepthPercent: 0,
+      engagedMs: 42000
+    });
+
+    const $set = buildSessionUpdate(payload, {}, now).pipeline[0].$set;
+    assert.equal($set.totalEngagedMs.$add[1].$max[1].$subtract[0], 42000);
+    assert.equal($set.pageViews.$cond[2].$slice[0].$concatArrays[1][0].$literal.engagedMs, 42000);
+
+    // Trackers that don't measure engaged time count elapsed time, as before
+    const legacy = buildSessionUpdate({ ...payload, engagedMs: null }, {}, now).pipeline[0].$set;
+    assert.equal(legacy.totalEngagedMs.$add[1].$max[1].$subtract[0], 86400000);
+  });
+
+  it('stores web vitals from the final flush without clearing them on heartbeats', function() {
+    const now = new Date('2026-03-01T00:00:00.000Z');
+    const { buildPageViewUpdate } = trackHandler._test;
+    const validatePayload = require('../src/tracking/validatePayload');
+
+    const { value } = validatePayload({
+      pageViewId: 'pv_vitals',
+      path: '/docs',
+      sequence: 4,
+      isFinal: true,
+      webVitals: { lcpMs: 2150, cls: 0.05, inpMs: 96, fcpMs: 900, navigationType: 'navigate' }
+    });
+    assert.deepEqual(value.webVitals, {
+      lcpMs: 2150,
+      cls: 0.05,
+      inpMs: 96,
+      fcpMs: 900,
+      ttfbMs: null,
+      navigationType: 'navigate'
+    });
+    assert.deepEqual(buildPageViewUpdate(value, {}, now).update.$set.webVitals, value.webVitals);
+
+    const heartbeat = buildPageViewUpdate({ pageViewId: 'pv_vitals', path: '/docs', sequence: 5 }, {}, now);
+    assert.equal('webVitals' in heartbeat.update.$set, false);
+
+    const { errors } = validatePayload({
+      pageViewId: 'pv_vitals',
+      path: '/docs',
+      webVitals: { lcpMs: -1, cls: 'none', navigationType: 'teleport' }
+    });
+    assert.deepEqual(errors.map(error => error.field), ['webVitals.lcpMs', 'webVitals.cls', 'webVitals.navigationType']);
+  });
+
+  it('classifies crawlers, unfurlers and headless browsers', function() {
+    const { getRequestMeta, buildPageViewUpdate } = trackHandler._test;
+    const classify = userAgent => getRequestMeta({ headers: { 'user-agent': userAgent } }).botFamily;
+
+    assert.equal(classify('Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)'), 'unfurler');
+    assert.equal(classify('Twitterbot/1.0'), 'unfurler');
+    assert.equal(classify('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'), 'crawler');
+    assert.equal(classify('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36'), 'headless');
+    assert.equal(classify('curl/8.4.0'), 'http_client');
+    assert.equal(classify(''), 'unknown');
+    assert.equal(classify('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15'), null);
+
+    const now = new Date();
+    const browser = buildPageViewUpdate({
+      pageViewId: 'pv_human',
+      path: '/',
+      elapsedMs: 1200,
+      viewport: { width: 1440, height: 900 }
+    }, { botFamily: null }, now);
+    assert.equal(browser.update.$set.isBot, false);
+    assert.equal(browser.update.$set.botFamily, null);
+
+    const noLayout = buildPageViewUpdate({ pageViewId: 'pv_prerender', path: '/', elapsedMs: 0 }, { botFamily: null }, now);
+    assert.equal(noLayout.update.$set.isBot, true);
+    assert.equal(noLayout.update.$set.botFamily, 'suspected');
+
+    const webdriver = buildPageViewUpdate({
+      pageViewId: 'pv_webdriver',
+      path: '/',
+      elapsedMs: 1200,
+      viewport: { width: 800, height: 600 },
+      webdriver: true
+    }, { botFamily: null }, now);
+    assert.equal(webdriver.update.$set.botFamily, 'headless');
+  });
+
+  it('truncates or hashes IP addresses with a daily salt', async function() {
+    assert.equal(privacy.truncateIp('203.0.113.10'), '203.0.113.0');
+    assert.equal(privacy.truncateIp('::ffff:203.0.113.10'), '203.0.113.0');
+    assert.equal(privacy.truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+    assert.equal(privacy.truncateIp('2001:db8::1'), '2001:db8::');
 
-    let createConnectionCalls = 0;
-    const updates = [];
-    const connection = {
-      readyState: 1,
-      models: {},
-      model(name, schema) {
-        assert.equal(name, 'PageView');
-        assert.ok(schema);
-        const model = {
+    let saltLookups = 0;
+    const conn = {
+      models: {
+        TrackingSalt: {
           findOneAndUpdate: async function(filter, update, options) {
-            updates.push({ filter, update, options });
+            saltLookups += 1;
+            assert.equal(options.upsert, true);
+            return { day: filter.day, salt: `salt_${filter.day}` };
           }
-        };
-        this.models[name] = model;
-        return model;
-      },
-      asPromise() {
-        return Promise.resolve(this);
+        }
       }
     };
+    const requestMeta = { ipAddress: '203.0.113.10', userAgent: 'Mozilla/5.0', ipGeolocation: {} };
 
-    mongoose.connect = function() {
-      throw new Error('track should not call mongoose.connect()');
-    };
-    mongoose.createConnection = function(uri, options) {
-      createConnectionCalls += 1;
-      assert.equal(uri, process.env.TRACK_MONGODB_CONNECTION_STRING);
-      assert.deepEqual(options, { serverSelectionTimeoutMS: 3000 });
-      return connection;
+    const day1 = await privacy.protectRequestMeta(conn, requestMeta, 'standard', new Date('2026-03-01T08:00:00Z'));
+    const day1Later = await privacy.protectRequestMeta(conn, requestMeta, 'standard', new Date('2026-03-01T20:00:00Z'));
+    const day2 = await privacy.protectRequestMeta(conn, requestMeta, 'standard', new Date('2026-03-02T08:00:00Z'));
+
+    assert.equal(day1.ipAddress, null);
+    assert.equal(day1.ipHash, day1Later.ipHash);
+    assert.notEqual(day1.ipHash, day2.ipHash);
+    assert.equal(saltLookups, 2);
+
+    process.env.TRACK_IP_MODE = 'truncate';
+    try {
+      const truncated = await privacy.protectRequestMeta(conn, requestMeta, 'standard', new Date('2026-03-02T09:00:00Z'));
+      assert.equal(truncated.ipAddress, '203.0.113.0');
+    } finally {
+      delete process.env.TRACK_IP_MODE;
+    }
+  });
+
+  it('does not build sessions for restricted or sessionless page views', function() {
+    const { buildSessionUpdate } = require('../src/tracking/sessions');
+    const now = new Date();
+
+    assert.equal(buildSessionUpdate({ pageViewId: 'pv_1', path: '/' }, {}, now), null);
+    assert.equal(buildSessionUpdate(
+      { pageViewId: 'pv_1', sessionId: 'session_1', path: '/' },
+      { privacyMode: 'restricted' },
+      now
+    ), null);
+  });
+
+  it('stores the visitor id and first touch unless tracking is restricted', function() {
+    const { buildPageViewUpdate } = trackHandler._test;
+    const { buildSessionUpdate } = require('../src/tracking/sessions');
+    const validatePayload = require('../src/tracking/validatePayload');
+    const now = new Date('2026-03-10T00:00:00.000Z');
+
+    const { value, errors } = validatePayload({
+      pageViewId: 'pv_returning',
+      sessionId: 'session_returning',
+      path: '/buy.html',
+      utm: { utm_source: 'newsletter' },
+      visitorId: 'visitor_1',
+      firstVisitAt: '2026-02-01T09:30:00.000Z',
+      visitCount: 3,
+      firstTouch: { utm: { utm_source: 'hn', utm_campaign: 'launch' }, referrer: 'https://news.ycombinator.com/', gclid: null }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.firstVisitAt, new Date('2026-02-01T09:30:00.000Z'));
+
+    const pageView = buildPageViewUpdate(value, {}, now).update.$set;
+    assert.equal(pageView.visitorId, 'visitor_1');
+    assert.equal(pageView.visitCount, 3);
+    assert.deepEqual(pageView.firstTouch, value.firstTouch);
+
+    const session = buildSessionUpdate(value, {}, now).pipeline[0].$set;
+    assert.deepEqual(session.visitorId, { $ifNull: ['$visitorId', { $literal: 'visitor_1' }] });
+    assert.deepEqual(session.isReturningVisitor, { $ifNull: ['$isReturningVisitor', { $literal: true }] });
+    assert.deepEqual(session.firstTouch.$ifNull[1].$literal.utm, { utm_source: 'hn', utm_campaign: 'launch' });
+
+    const restricted = buildPageViewUpdate(value, { privacyMode: 'restricted' }, now).update.$set;
+    assert.equal(restricted.visitorId, null);
+    assert.equal(restricted.visitCount, null);
+    assert.deepEqual(restricted.firstTouch, { utm: {}, referrer: null, gclid: null });
+
+    assert.deepEqual(validatePayload({
+      pageViewId: 'pv_returning',
+      path: '/',
+      firstVisitAt: 'yesterday',
+      firstTouch: { utm: { utm_nope: 'x' } }
+    }).errors.map(error => error.field), ['firstVisitAt', 'firstTouch.utm.utm_nope']);
+  });
+
+  it('stores only validated fields', async function() {
+    const validatePayload = require('../src/tracking/validatePayload');
+
+    const { value, errors } = validatePayload({
+      pageViewId: 'pv_clean',
+      path: '/pricing.html',
+      pageType: 'pricing',
+      eventType: 'page_view',
+      injected: { $set: { isAdmin: true } },
+      utm: { utm_campaign: 'launch' },
+      customEvents: [{ name: 'buy_button_click', properties: { plan: 'pro' }, atMs: 10, extra: true }]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.injected, undefined);
+    assert.deepEqual(value.utm, { utm_campaign: 'launch' });
+    assert.deepEqual(value.customEvents, [{ name: 'buy_button_click', properties: { plan: 'pro' }, atMs: 10 }]);
+  });
+
+  it('stores the sample rate the tracker was configured with', function() {
+    const validatePayload = require('../src/tracking/validatePayload');
+    const { buildPageViewUpdate } = trackHandler._test;
+    const now = new Date('2026-03-01T00:00:00.000Z');
+
+    const { value } = validatePayload({ pageViewId: 'pv_sampled', path: '/', sampleRate: 0.25 });
+    assert.equal(buildPageViewUpdate(value, {}, now).update.$set.sampleRate, 0.25);
+    assert.equal(buildPageViewUpdate({ pageViewId: 'pv_unsampled', path: '/' }, {}, now).update.$set.sampleRate, 1);
+    assert.deepEqual(validatePayload({ pageViewId: 'pv_sampled', path: '/', sampleRate: 2 }).errors.map(error => error.field), ['sampleRate']);
+  });
+
+  it('backfills TrackEvent from the customEvents of older page views', async function() {
+    const finds = [];
+    const eventWrites = [];
+    const conn = {
+      models: {
+        PageView: {
+          collection: {
+            find(filter, options) {
+              finds.push({ filter, options });
+              return [{
+                siteId: null,
+                pageViewId: 'pv_old',
+                sessionId: 'session_old',
+                path: '/pricing.html',
+                pageType: 'pricing',
+                elapsedMs: 5000,
+                isBot: false,
+                lastSeenAt: new Date('2026-01-01T00:00:05.000Z'),
+                requestMeta: { privacyMode: 'standard' },
+                customEvents: [{ name: 'pricing_details_seen', properties: {}, atMs: 1000 }]
+              }];
+            }
+          }
+        },
+        TrackEvent: {
+          bulkWrite: async function(ops) {
+            eventWrites.push(...ops);
+            // Already copied by an earlier run
+            const err = new Error('E11000 duplicate key error');
+            err.writeErrors = [{ index: 0, code: 11000 }];
+            throw err;
+          }
+        }
+      }
     };
 
-    const req = {
-      method: 'POST',
+    assert.deepEqual(await events.backfillTrackEvents(conn), { pageViews: 1 });
+    assert.deepEqual(finds[0].filter, { 'customEvents.0': { $exists: true } });
+    assert.equal(eventWrites.length, 1);
+    assert.deepEqual(eventWrites[0].updateOne.filter, { pageViewId: 'pv_old', index: 0 });
+    const event = eventWrites[0].updateOne.update.$setOnInsert;
+    assert.equal(event.siteId, 'mongoosestudio');
+    assert.equal(event.sessionId, 'session_old');
+    assert.equal(event.name, 'pricing_details_seen');
+    assert.equal(event.isBot, false);
+    assert.deepEqual(event.occurredAt, new Date('2026-01-01T00:00:01.000Z'));
+  });
+
+  it('reads client IP, geolocation and body from Netlify events', function() {
+    const request = adapters.fromNetlifyEvent({
+      httpMethod: 'POST',
       headers: {
-        'x-forwarded-for': '198.51.100.7, 10.0.0.1',
-        'user-agent': 'Track Test',
-        origin: 'https://studio.mongoosejs.io',
-        'x-vercel-ip-city': 'Atlanta',
-        'x-vercel-ip-country': 'US',
-        'x-vercel-ip-country-region': 'GA',
-        'x-vercel-ip-latitude': '33.7490',
-        'x-vercel-ip-longitude': '-84.3880',
-        'x-vercel-ip-timezone': 'America/New_York'
+        'x-nf-client-connection-ip': '203.0.113.20',
+        'x-forwarded-for': '10.0.0.1',
+        'x-nf-geo': Buffer.from(JSON.stringify({
+          city: 'Paris',
+          country: { code: 'FR', name: 'France' },
+          subdivision: { code: 'IDF', name: 'Ile-de-France' },
+          timezone: 'Europe/Paris',
+          latitude: 48.8566,
+          longitude: 2.3522
+        })).toString('base64')
       },
-      geo: {
-        region: 'iad1'
-      },
-      body: {
-        pageViewId: 'pv_track_1',
-        sessionId: 'session_1',
-        path: '/docs/track',
-        pageType: 'docs',
-        elapsedMs: 321,
-        maxScrollDepthPercent: 92,
-        viewport: { width: 1440, height: 900 }
+      body: Buffer.from('{"path":"/docs"}').toString('base64'),
+      isBase64Encoded: true
+    });
+
+    assert.equal(request.method, 'POST');
+    assert.equal(request.ipAddress, '203.0.113.20');
+    assert.equal(request.body.toString('utf8'), '{"path":"/docs"}');
+    assert.deepEqual(request.ipGeolocation, {
+      city: 'Paris',
+      country: 'FR',
+      countryRegion: 'IDF',
+      region: null,
+      latitude: '48.8566',
+      longitude: '2.3522',
+      timezone: 'Europe/Paris'
+    });
+
+    assert.equal(adapters.getNetlifyGeolocation({ 'x-nf-geo': 'not base64 json' }).country, null);
+    assert.equal(adapters.fromNetlifyEvent({ headers: { 'x-forwarded-for': '198.51.100.1, 10.0.0.1' } }).ipAddress, '198.51.100.1');
+
+    assert.deepEqual(adapters.toNetlifyResponse({ statusCode: 204, headers: { Vary: 'Origin' }, body: null }), {
+      statusCode: 204,
+      headers: { Vary: 'Origin' },
+      body: ''
+    });
+    assert.deepEqual(adapters.toNetlifyResponse({ statusCode: 202, headers: {}, body: { ok: true } }), {
+      statusCode: 202,
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"ok":true}'
+    });
+  });
+
+});
+
+for (const adapter of ADAPTERS) {
+  describe(`track handler (${adapter.name})`, function() {
+    const trackHandler = adapter.handler;
+
+    const originalCreateConnection = mongoose.createConnection;
+    const originalConnect = mongoose.connect;
+    const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+
+    afterEach(function() {
+      mongoose.createConnection = originalCreateConnection;
+      mongoose.connect = originalConnect;
+      process.env.TRACK_MONGODB_CONNECTION_STRING = originalTrackUri;
+      track.resetState();
+    });
+
+    it('returns 500 when TRACK_MONGODB_CONNECTION_STRING is missing', async function() {
+      delete process.env.TRACK_MONGODB_CONNECTION_STRING;
+
+      const res = createResponse();
+
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: { pageViewId: 'pv_1', path: '/' }
+      }, res);
+
+      assert.equal(res.statusCode, 500);
+      assert.deepEqual(res.body, {
+        ok: false,
+        error: 'Missing TRACK_MONGODB_CONNECTION_STRING'
+      });
+    });
+
+    it('uses a dedicated createConnection and caches it across requests', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      let createConnectionCalls = 0;
+      const updates = [];
+      const connection = {
+        readyState: 1,
+        models: {},
+        model(name, schema) {
+          assert.ok(schema);
+          const model = name === 'PageView'
+            ? {
+              findOneAndUpdate: async function(filter, update, options) {
+                updates.push({ filter, update, options });
+              }
+            }
+            : createStubModel(name);
+          this.models[name] = model;
+          return model;
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+
+      mongoose.connect = function() {
+        throw new Error('track should not call mongoose.connect()');
+      };
+      mongoose.createConnection = function(uri, options) {
+        createConnectionCalls += 1;
+        assert.equal(uri, process.env.TRACK_MONGODB_CONNECTION_STRING);
+        assert.deepEqual(options, { serverSelectionTimeoutMS: 3000 });
+        return connection;
+      };
+
+      const req = {
+        method: 'POST',
+        headers: {
+          'x-forwarded-for': '198.51.100.7, 10.0.0.1',
+          'user-agent': 'Track Test',
+          origin: 'https://studio.mongoosejs.io',
+          'x-vercel-ip-city': 'Atlanta',
+          'x-vercel-ip-country': 'US',
+          'x-vercel-ip-country-region': 'GA',
+          'x-vercel-ip-latitude': '33.7490',
+          'x-vercel-ip-longitude': '-84.3880',
+          'x-vercel-ip-timezone': 'America/New_York'
+        },
+        geo: {
+          region: 'iad1'
+        },
+        body: {
+          pageViewId: 'pv_track_1',
+          sessionId: 'session_1',
+          path: '/docs/track',
+          pageType: 'docs',
+          elapsedMs: 321,
+          maxScrollDepthPercent: 92,
+          viewport: { width: 1440, height: 900 }
+        }
+      };
+
+      const res1 = createResponse();
+      await trackHandler(req, res1);
+
+      const res2 = createResponse();
+      await trackHandler({
+        ...req,
+        body: {
+          ...req.body,
+          pageViewId: 'pv_track_2',
+          sequence: 2
+        }
+      }, res2);
+
+      assert.equal(createConnectionCalls, 1);
+      assert.equal(res1.statusCode, 202);
+      assert.equal(res2.statusCode, 202);
+      assert.equal(updates.length, 2);
+      assert.deepEqual(updates[0].filter, { pageViewId: 'pv_track_1', sequence: { $lt: 0 } });
+      assert.equal(updates[0].update.$set.requestMeta.ipAddress, null);
+      assert.equal(updates[0].update.$set.requestMeta.ipHash, privacy.hashIp('198.51.100.7', 'test_salt'));
+      assert.equal(updates[0].update.$set.requestMeta.privacyMode, 'standard');
+      assert.deepEqual(updates[0].update.$set.requestMeta.ipGeolocation, {
+        city: 'Atlanta',
+        country: 'US',
+        countryRegion: 'GA',
+        region: adapter.supportsRegion ? 'iad1' : null,
+        latitude: '33.7490',
+        longitude: '-84.3880',
+        timezone: 'America/New_York'
+      });
+      assert.equal(updates[0].options.upsert, true);
+      assert.equal(updates[0].options.new, true);
+      assert.equal(updates[0].options.setDefaultsOnInsert, true);
+    });
+
+    it('writes batches with a single bulkWrite and reports per-item results', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const bulkWrites = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            bulkWrite: async function(ops, options) {
+              bulkWrites.push({ ops, options });
+              const err = new Error('write failed');
+              err.writeErrors = [{ index: 1, code: 91 }];
+              throw err;
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: { 'x-forwarded-for': '198.51.100.7' },
+        body: [
+          { pageViewId: 'pv_batch_1', path: '/', sequence: 1 },
+          { pageViewId: 'pv_batch_1' },
+          { pageViewId: 'pv_batch_2', path: '/pricing.html', sequence: 1 },
+          { pageViewId: 'pv_batch_3', path: '/docs', sequence: 4 }
+        ]
+      }, res);
+
+      assert.equal(bulkWrites.length, 1);
+      assert.equal(bulkWrites[0].options.ordered, false);
+      assert.equal(bulkWrites[0].ops.length, 3);
+      assert.deepEqual(bulkWrites[0].ops[0].updateOne.filter, { pageViewId: 'pv_batch_1', sequence: { $lt: 1 } });
+      assert.equal(bulkWrites[0].ops[0].updateOne.upsert, true);
+      assert.equal(bulkWrites[0].ops[2].updateOne.update.$set.requestMeta.ipHash, privacy.hashIp('198.51.100.7', 'test_salt'));
+
+      assert.equal(res.statusCode, 202);
+      assert.deepEqual(res.body.results, [
+        { index: 0, ok: true, pageViewId: 'pv_batch_1' },
+        {
+          index: 1,
+          ok: false,
+          error: 'Invalid tracking payload',
+          fields: [{ field: 'path', message: 'is required', type: 'invalid' }]
+        },
+        { index: 2, ok: false, pageViewId: 'pv_batch_2', error: 'Failed to store tracking payload' },
+        { index: 3, ok: true, pageViewId: 'pv_batch_3' }
+      ]);
+    });
+
+    it('rejects batches that mix sites', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      let called = false;
+      mongoose.createConnection = function() {
+        called = true;
+        return createConnection({});
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: [
+          { siteId: 'mongoosestudio', pageViewId: 'pv_site_1', path: '/' },
+          { siteId: 'mongoosejs', pageViewId: 'pv_site_2', path: '/docs' }
+        ]
+      }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'All items in a tracking batch must have the same `siteId`');
+      assert.equal(called, false);
+    });
+
+    it('drops and counts stale and duplicate updates', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const stored = { pageViewId: 'pv_seq', sequence: 7 };
+      const updateOnes = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter) {
+              if (filter.sequence.$lt <= stored.sequence) {
+                const err = new Error('E11000 duplicate key error');
+                err.code = 11000;
+                throw err;
+              }
+            },
+            updateOne: async function(filter, update) {
+              updateOnes.push({ filter, update });
+              if (filter.sequence == null) {
+                return { matchedCount: 1 };
+              }
+              if (typeof filter.sequence === 'number') {
+                return { matchedCount: filter.sequence === stored.sequence ? 1 : 0 };
+              }
+              return { matchedCount: filter.sequence.$lt > stored.sequence ? 1 : 0 };
+            }
+          }
+        });
+      };
+
+      const stale = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: { pageViewId: 'pv_seq', path: '/', sequence: 3, reason: 'heartbeat' }
+      }, stale);
+
+      assert.equal(stale.statusCode, 202);
+      assert.equal(stale.body.dropped, 'stale');
+      assert.deepEqual(updateOnes.map(op => op.update.$inc).filter(Boolean), [
+        { 'droppedUpdates.duplicate': 1 },
+        { 'droppedUpdates.stale': 1 }
+      ]);
+
+      updateOnes.length = 0;
+      const duplicate = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: { pageViewId: 'pv_seq', path: '/', sequence: 7, isFinal: true }
+      }, duplicate);
+
+      assert.equal(duplicate.body.dropped, 'duplicate');
+      assert.deepEqual(updateOnes[updateOnes.length - 1].update, { $inc: { 'droppedUpdates.duplicate': 1 } });
+    });
+
+    it('drops bot traffic at ingestion when TRACK_DROP_BOT_TRAFFIC is set', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+      process.env.TRACK_DROP_BOT_TRAFFIC = 'true';
+
+      mongoose.createConnection = function() {
+        throw new Error('bot traffic should not be written');
+      };
+
+      try {
+        const res = createResponse();
+        await trackHandler({
+          method: 'POST',
+          headers: { 'user-agent': 'facebookexternalhit/1.1' },
+          body: { pageViewId: 'pv_bot', path: '/', elapsedMs: 1200, viewport: { width: 1200, height: 630 } }
+        }, res);
+
+        assert.equal(res.statusCode, 202);
+        assert.equal(res.body.dropped, 'bot');
+      } finally {
+        delete process.env.TRACK_DROP_BOT_TRAFFIC;
+      }
+    });
+
+    it('stores only coarse data when DNT or Sec-GPC is set', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      assert.equal(privacy.getPrivacyMode({ dnt: '1' }), 'restricted');
+      assert.equal(privacy.getPrivacyMode({ 'sec-gpc': '1' }), 'restricted');
+      assert.equal(privacy.getPrivacyMode({ dnt: '0' }), 'standard');
+      assert.equal(privacy.getPrivacyMode({}, [{ consent: 'essential' }]), 'restricted');
+      assert.equal(privacy.getPrivacyMode({}, [{ consent: 'granted' }, {}]), 'standard');
+
+      const updates = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter, update) {
+              updates.push(update);
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {
+          'sec-gpc': '1',
+          'x-forwarded-for': '203.0.113.10',
+          'user-agent': 'Mozilla/5.0',
+          'x-vercel-ip-city': 'Berlin',
+          'x-vercel-ip-country': 'DE'
+        },
+        body: {
+          pageViewId: 'pv_gpc',
+          sessionId: 'session_gpc',
+          path: '/pricing.html',
+          search: '?email=someone@example.com',
+          url: 'https://mongoosestudio.app/pricing.html?email=someone@example.com',
+          referrer: 'https://news.ycombinator.com/item?id=1',
+          gclid: 'abc',
+          utm: { utm_source: 'hn', utm_id: 'visitor-42' },
+          elapsedMs: 1000,
+          viewport: { width: 1440, height: 900 }
+        }
+      }, res);
+
+      assert.equal(res.statusCode, 202);
+      const $set = updates[0].$set;
+      assert.equal($set.sessionId, null);
+      assert.equal($set.search, '');
+      assert.equal($set.url, 'https://mongoosestudio.app/pricing.html');
+      assert.equal($set.referrer, 'https://news.ycombinator.com');
+      assert.equal($set.gclid, null);
+      assert.deepEqual($set.utm, { utm_source: 'hn' });
+      assert.equal($set.isBot, false);
+      assert.equal($set.requestMeta.ipAddress, null);
+      assert.equal($set.requestMeta.ipHash, null);
+      assert.equal($set.requestMeta.userAgent, null);
+      assert.equal($set.requestMeta.privacyMode, 'restricted');
+      assert.equal($set.requestMeta.ipGeolocation.city, null);
+      assert.equal($set.requestMeta.ipGeolocation.country, 'DE');
+    });
+
+    it('treats essential-only consent like DNT', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const updates = [];
+      const sessionUpdates = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter, update) {
+              updates.push(update);
+            }
+          },
+          Session: {
+            updateOne: async function(filter, update) {
+              sessionUpdates.push(update);
+              return { matchedCount: 1 };
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: { 'x-forwarded-for': '203.0.113.10' },
+        body: { pageViewId: 'pv_essential', sessionId: 'session_essential', path: '/', consent: 'essential' }
+      }, res);
+
+      assert.equal(res.statusCode, 202);
+      assert.equal(updates[0].$set.requestMeta.privacyMode, 'restricted');
+      assert.equal(updates[0].$set.requestMeta.ipHash, null);
+      assert.equal(updates[0].$set.sessionId, null);
+      assert.equal(sessionUpdates.length, 0);
+    });
+
+    it('rolls page views up into their session', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const sessionUpdates = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function() {}
+          },
+          Session: {
+            updateOne: async function(filter, update, options) {
+              sessionUpdates.push({ filter, update, options });
+              return { matchedCount: 1 };
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {
+          'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+          'x-vercel-ip-country': 'GB'
+        },
+        body: {
+          pageViewId: 'pv_landing',
+          sessionId: 'session_rollup',
+          path: '/',
+          referrer: 'https://www.google.com/',
+          utm: { utm_source: 'google', utm_campaign: 'launch' },
+          gclid: 'gclid_1',
+          elapsedMs: 2000,
+          viewport: { width: 390, height: 844 }
+        }
+      }, res);
+
+      assert.equal(res.statusCode, 202);
+      assert.equal(sessionUpdates.length, 1);
+      const { filter, update, options } = sessionUpdates[0];
+      assert.deepEqual(filter, { sessionId: 'session_rollup' });
+      assert.deepEqual(options, { upsert: true, updatePipeline: true });
+
+      const $set = update[0].$set;
+      assert.deepEqual($set.firstPath, { $ifNull: ['$firstPath', { $literal: '/' }] });
+      assert.deepEqual($set.attribution.$ifNull[1].$literal, {
+        utm: { utm_source: 'google', utm_campaign: 'launch' },
+        gclid: 'gclid_1',
+        referrer: 'https://www.google.com/'
+      });
+      assert.deepEqual($set.siteId, { $ifNull: ['$siteId', { $literal: 'mongoosestudio' }] });
+      assert.deepEqual($set.country, { $ifNull: ['$country', { $literal: 'GB' }] });
+      assert.deepEqual($set.device.$ifNull[1].$literal, { type: 'mobile', os: 'iOS', browser: 'Safari' });
+    });
+
+    it('rate limits per IP and per session with Retry-After', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+      process.env.TRACK_RATE_LIMIT_PER_IP = '3';
+      process.env.TRACK_RATE_LIMIT_PER_SESSION = '2';
+      process.env.TRACK_RATE_LIMIT_WINDOW_SECONDS = '60';
+
+      const counters = new Map();
+      const pageViewWrites = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter) {
+              pageViewWrites.push(filter.pageViewId);
+            }
+          },
+          RateLimit: {
+            findOneAndUpdate: async function(filter, update, options) {
+              assert.equal(options.upsert, true);
+              assert.ok(update.$setOnInsert.expiresAt > update.$setOnInsert.windowStart);
+              const count = (counters.get(filter.key) || 0) + update.$inc.count;
+              counters.set(filter.key, count);
+              return { key: filter.key, count };
+            }
+          }
+        });
+      };
+
+      const send = async(ip, sessionId, pageViewId) => {
+        const res = createResponse();
+        await trackHandler({
+          method: 'POST',
+          headers: { 'x-forwarded-for': ip },
+          body: { pageViewId, sessionId, path: '/', elapsedMs: 100, viewport: { width: 800, height: 600 } }
+        }, res);
+        return res;
+      };
+
+      try {
+        assert.equal((await send('203.0.113.1', 'session_a', 'pv_1')).statusCode, 202);
+        assert.equal((await send('203.0.113.1', 'session_a', 'pv_2')).statusCode, 202);
+
+        const sessionLimited = await send('203.0.113.1', 'session_a', 'pv_3');
+        assert.equal(sessionLimited.statusCode, 429);
+        assert.ok(Number(sessionLimited.headers['Retry-After']) >= 1);
+        assert.equal(sessionLimited.body.error, 'Too many tracking requests for this session');
+
+        const ipLimited = await send('203.0.113.1', 'session_b', 'pv_4');
+        assert.equal(ipLimited.statusCode, 429);
+        assert.equal(ipLimited.body.error, 'Too many tracking requests for this ip');
+
+        assert.equal((await send('198.51.100.2', 'session_c', 'pv_5')).statusCode, 202);
+        assert.deepEqual(pageViewWrites, ['pv_1', 'pv_2', 'pv_5']);
+        const unsaltedHash = crypto.createHash('sha256').update('203.0.113.1').digest('hex').slice(0, 32);
+        for (const key of counters.keys()) {
+          assert.ok(!key.includes('203.0.113.1'), 'rate limit keys must not contain raw IPs');
+          assert.ok(!key.includes(unsaltedHash), 'rate limit keys must be salted');
+        }
+      } finally {
+        delete process.env.TRACK_RATE_LIMIT_PER_IP;
+        delete process.env.TRACK_RATE_LIMIT_PER_SESSION;
+        delete process.env.TRACK_RATE_LIMIT_WINDOW_SECONDS;
+      }
+    });
+
+    it('stores custom events once each in TrackEvent', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const pageViewUpdates = [];
+      const eventWrites = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter, update) {
+              pageViewUpdates.push(update);
+            }
+          },
+          TrackEvent: {
+            bulkWrite: async function(ops, options) {
+              assert.deepEqual(options, { ordered: false });
+              eventWrites.push(...ops);
+              // The first event was stored by an earlier flush racing this one
+              const err = new Error('E11000 duplicate key error');
+              err.writeErrors = [{ index: 0, code: 11000 }];
+              throw err;
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: {
+          pageViewId: 'pv_events',
+          sessionId: 'session_events',
+          path: '/pricing.html',
+          pageType: 'pricing',
+          elapsedMs: 5000,
+          viewport: { width: 800, height: 600 },
+          customEvents: [
+            { name: 'pricing_details_seen', atMs: 1000 },
+            { name: 'buy_button_click', properties: { plan: 'pro' }, atMs: 4000 }
+          ]
+        }
+      }, res);
+
+      assert.equal(res.statusCode, 202);
+      assert.equal('customEvents' in pageViewUpdates[0].$set, false);
+      assert.equal(eventWrites.length, 2);
+      assert.deepEqual(eventWrites[1].updateOne.filter, { pageViewId: 'pv_events', index: 1 });
+      assert.equal(eventWrites[1].updateOne.upsert, true);
+
+      const event = eventWrites[1].updateOne.update.$setOnInsert;
+      assert.equal(event.name, 'buy_button_click');
+      assert.equal(event.sessionId, 'session_events');
+      assert.equal(event.path, '/pricing.html');
+      assert.equal(event.pageType, 'pricing');
+      assert.deepEqual(event.properties, { plan: 'pro' });
+      const receivedAt = new Date(res.body.receivedAt).getTime();
+      assert.equal(event.occurredAt.getTime(), receivedAt - 1000);
+    });
+
+    it('groups client errors by fingerprint and counts each occurrence once', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const occurrences = createOccurrenceStore();
+      const errorUpdates = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function() {}
+          },
+          ClientErrorOccurrence: occurrences.model,
+          ClientError: {
+            updateOne: async function(filter, pipeline, options) {
+              errorUpdates.push({ filter, pipeline, options });
+              if (errorUpdates.length === 1) {
+                // Another flush inserted the group first
+                const err = new Error('E11000 duplicate key error');
+                err.code = 11000;
+                throw err;
+              }
+              return { matchedCount: 1 };
+            }
+          }
+        });
+      };
+
+      const send = async sequence => {
+        const res = createResponse();
+        await trackHandler({
+          method: 'POST',
+          headers: {
+            'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+          },
+          body: {
+            pageViewId: 'pv_errors',
+            path: '/buy.html',
+            sequence,
+            elapsedMs: 5000 * sequence,
+            viewport: { width: 800, height: 600 },
+            clientErrors: [
+              {
+                type: 'error',
+                message: 'Uncaught TypeError: x is undefined',
+                stack: 'TypeError: x is undefined\n    at buy (https://mongoosestudio.app/buy.js?v=1&token=secret:12:5)\n    at https://mongoosestudio.app/vendor.js#main:1:2',
+                source: 'https://mongoosestudio.app/buy.js?v=1',
+                line: 12,
+                column: 5,
+                atMs: 1000
+              },
+              { type: 'error', message: 'Uncaught TypeError: x is undefined', source: 'https://mongoosestudio.app/buy.js?v=2', line: 12, column: 5, atMs: 2000 },
+              { type: 'unhandledrejection', message: 'Failed to fetch', atMs: 3000 }
+            ]
+          }
+        }, res);
+        return res;
+      };
+
+      assert.equal((await send(1)).statusCode, 202);
+      assert.deepEqual(Array.from(occurrences.keys), ['pv_errors:0', 'pv_errors:1', 'pv_errors:2']);
+      // Both occurrences of the first error go into one update, retried once after the race
+      assert.equal(errorUpdates.length, 3);
+      assert.deepEqual(errorUpdates[0].options, { upsert: true, updatePipeline: true });
+      assert.deepEqual(errorUpdates[1].options, { updatePipeline: true });
+      assert.equal(errorUpdates[1].filter.fingerprint, errorUpdates[0].filter.fingerprint);
+      assert.notEqual(errorUpdates[2].filter.fingerprint, errorUpdates[1].filter.fingerprint);
+      assert.equal(errorUpdates[1].filter.siteId, 'mongoosestudio');
+
+      const [base, paths, browsers] = errorUpdates[1].pipeline;
+      assert.deepEqual(base.$set.source, { $ifNull: ['$source', { $literal: 'https://mongoosestudio.app/buy.js' }] });
+      assert.deepEqual(base.$set.stack, {
+        $ifNull: ['$stack', {
+          $literal: 'TypeError: x is undefined\n    at buy (https://mongoosestudio.app/buy.js:12:5)\n    at https://mongoosestudio.app/vendor.js:1:2'
+        }]
+      });
+      assert.deepEqual(base.$set.count, { $add: [{ $ifNull: ['$count', 0] }, 2] });
+      assert.deepEqual(paths.$set.paths.$cond[2].$cond[1].$concatArrays[1], [{ $literal: { path: '/buy.html', count: 2 } }]);
+      assert.deepEqual(browsers.$set.browsers.$cond[2].$cond[1].$concatArrays[1], [{ $literal: { browser: 'Chrome', count: 2 } }]);
+
+      // The next flush resends the same errors, which were already counted
+      assert.equal((await send(2)).statusCode, 202);
+      assert.equal(errorUpdates.length, 3);
+
+      const invalid = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: { pageViewId: 'pv_errors', path: '/', clientErrors: [{ type: 'warning', line: -1 }] }
+      }, invalid);
+      assert.equal(invalid.statusCode, 400);
+      assert.deepEqual(invalid.body.fields.map(error => error.field), [
+        'clientErrors[0].type',
+        'clientErrors[0].message',
+        'clientErrors[0].line'
+      ]);
+    });
+
+    it('counts an error once per page view however many pages keep resending it', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const occurrences = createOccurrenceStore();
+      const counted = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function() {}
+          },
+          ClientErrorOccurrence: occurrences.model,
+          ClientError: {
+            updateOne: async function(filter, pipeline) {
+              counted.push(pipeline[0].$set.count.$add[1]);
+              return { matchedCount: 1 };
+            }
+          }
+        });
+      };
+
+      const pageViews = 250;
+      for (const sequence of [1, 2, 3]) {
+        for (let i = 0; i < pageViews; ++i) {
+          const res = createResponse();
+          await trackHandler({
+            method: 'POST',
+            headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/124.0' },
+            body: {
+              pageViewId: `pv_open_${i}`,
+              path: '/',
+              sequence,
+              elapsedMs: 15000 * sequence,
+              viewport: { width: 800, height: 600 },
+              clientErrors: [{ type: 'error', message: 'Script error.', atMs: 100 }]
+            }
+          }, res);
+          assert.equal(res.statusCode, 202);
+        }
+      }
+
+      assert.equal(occurrences.keys.size, pageViews);
+      assert.equal(counted.reduce((sum, count) => sum + count, 0), pageViews);
+    });
+
+    it('answers CORS preflight requests for allowed origins', async function() {
+      const res = createResponse();
+      await trackHandler({ method: 'OPTIONS', headers: { origin: 'https://docs.mongoosejs.com' } }, res);
+
+      assert.equal(res.statusCode, 204);
+      assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://docs.mongoosejs.com');
+      assert.equal(res.headers['Access-Control-Allow-Methods'], 'POST, OPTIONS');
+      assert.equal(res.headers['Access-Control-Allow-Headers'], 'Content-Type');
+      assert.equal(res.headers.Vary, 'Origin');
+
+      const rejected = createResponse();
+      await trackHandler({ method: 'OPTIONS', headers: { origin: 'https://mongoosejs.com.evil.example' } }, rejected);
+      assert.equal(rejected.statusCode, 403);
+      assert.equal(rejected.headers['Access-Control-Allow-Origin'], undefined);
+    });
+
+    it('rejects or flags page views from origins the site does not allow', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+      process.env.TRACK_SITES = JSON.stringify([
+        { id: 'mongoosestudio', origins: ['https://mongoosestudio.app'] },
+        { id: 'docs', origins: ['https://*.mongoosejs.com'] }
+      ]);
+
+      const updates = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter, update) {
+              updates.push(update);
+            }
+          }
+        });
+      };
+
+      const send = async(origin, siteId) => {
+        const res = createResponse();
+        await trackHandler({
+          method: 'POST',
+          headers: { origin },
+          body: { siteId, pageViewId: 'pv_origin', path: '/', elapsedMs: 100, viewport: { width: 800, height: 600 } }
+        }, res);
+        return res;
+      };
+
+      try {
+        const rejected = await send('https://studio.mongoosejs.io', 'docs');
+        assert.equal(rejected.statusCode, 403);
+        // Allowed for one site but not the site the payload is for
+        const otherSite = await send('https://plugins.mongoosejs.com', 'mongoosestudio');
+        assert.equal(otherSite.statusCode, 403);
+        const unknownSite = await send('https://plugins.mongoosejs.com', 'blog');
+        assert.equal(unknownSite.statusCode, 400);
+        assert.equal(unknownSite.body.fields[0].field, 'siteId');
+        assert.equal(updates.length, 0);
+
+        const allowed = await send('https://plugins.mongoosejs.com', 'docs');
+        assert.equal(allowed.statusCode, 202);
+        assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://plugins.mongoosejs.com');
+        assert.equal(updates[0].$set.siteId, 'docs');
+        assert.equal(updates[0].$set.requestMeta.originAllowed, true);
+
+        process.env.TRACK_ORIGIN_POLICY = 'flag';
+        const flagged = await send('https://mongoosestudio.app', 'docs');
+        assert.equal(flagged.statusCode, 202);
+        assert.equal(updates[1].$set.requestMeta.originAllowed, false);
+      } finally {
+        delete process.env.TRACK_SITES;
+        delete process.env.TRACK_ORIGIN_POLICY;
+      }
+    });
+
+    it('returns 400 listing every invalid field in the payload', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: {
+          pageViewId: 'pv_invalid',
+          path: '/',
+          pageType: 'admin',
+          title: 'x'.repeat(513),
+          elapsedMs: '1200',
+          sequence: -1,
+          isFinal: 'true',
+          utm: { utm_source: 'hn', $where: 'sleep(1000)' },
+          viewport: { width: 'wide', height: 900 },
+          customEvents: [
+            { name: 'ok_event', properties: { plan: 'pro' } },
+            { name: 'bad name!', properties: { nested: { deeper: { deepest: { tooDeep: true } } } } },
+            { name: 'keys', properties: { 'a.b': 1, $gt: 2 } }
+          ]
+        }
+      }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, 'Invalid tracking payload');
+      // Bad custom events and page types are skipped rather than rejected
+      assert.deepEqual(res.body.fields.map(error => error.field), [
+        'title',
+        'elapsedMs',
+        'utm.$where',
+        'sequence',
+        'isFinal',
+        'viewport.width'
+      ]);
+    });
+
+    it('stores the page view and its valid events when one custom event is invalid', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const pageViewUpdates = [];
+      const eventWrites = [];
+      mongoose.createConnection = function() {
+        return createConnection({
+          PageView: {
+            findOneAndUpdate: async function(filter, update) {
+              pageViewUpdates.push(update);
+            }
+          },
+          TrackEvent: {
+            bulkWrite: async function(ops) {
+              eventWrites.push(...ops);
+              return {};
+            }
+          }
+        });
+      };
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: {
+          pageViewId: 'pv_bad_event',
+          path: '/blog/launch',
+          pageType: 'blog',
+          elapsedMs: 5000,
+          viewport: { width: 800, height: 600 },
+          customEvents: [
+            { name: 'bad name!', properties: { nested: { deeper: { deepest: { tooDeep: true } } } } },
+            { name: 'keys', properties: { 'a.b': 1, $gt: 2 } },
+            { name: 'pricing_details_seen', properties: { plan: 'pro' }, atMs: 1000 }
+          ]
+        }
+      }, res);
+
+      assert.equal(res.statusCode, 202);
+      assert.deepEqual(res.body.skipped.map(warning => warning.field), [
+        'pageType',
+        'customEvents[0].name',
+        'customEvents[0].properties.nested.deeper.deepest',
+        'customEvents[1].properties.a.b',
+        'customEvents[1].properties.$gt'
+      ]);
+      assert.equal(pageViewUpdates.length, 1);
+      assert.equal(pageViewUpdates[0].$set.pageType, 'page');
+      // The valid event keeps its index, so later flushes dedupe against it
+      assert.equal(eventWrites.length, 1);
+      assert.deepEqual(eventWrites[0].updateOne.filter, { pageViewId: 'pv_bad_event', index: 2 });
+      assert.equal(eventWrites[0].updateOne.update.$setOnInsert.name, 'pricing_details_seen');
+    });
+
+    it('returns 413 when the payload exceeds count or size limits', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const tooManyEvents = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: {
+          pageViewId: 'pv_events',
+          path: '/',
+          customEvents: Array.from({ length: 101 }, () => ({ name: 'scroll' }))
+        }
+      }, tooManyEvents);
+
+      assert.equal(tooManyEvents.statusCode, 413);
+      assert.deepEqual(tooManyEvents.body.fields, [{
+        field: 'customEvents',
+        message: 'must contain at most 100 events',
+        type: 'too_large'
+      }]);
+
+      const tooLarge = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: JSON.stringify({ pageViewId: 'pv_big', path: '/', title: 'x'.repeat(200 * 1024) })
+      }, tooLarge);
+
+      assert.equal(tooLarge.statusCode, 413);
+      assert.equal(tooLarge.body.ok, false);
+    });
+
+    it('rejects oversized batches with 413', async function() {
+      process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+
+      const res = createResponse();
+      await trackHandler({
+        method: 'POST',
+        headers: {},
+        body: Array.from({ length: 51 }, (_, i) => ({ pageViewId: `pv_${i}`, path: '/' }))
+      }, res);
+
+      assert.equal(res.statusCode, 413);
+      assert.equal(res.body.ok, false);
+    });
+  });
+}
+
+function createConnection(models) {
+  return {
+    models: {},
+    model(name, schema) {
+      assert.ok(schema);
+      const model = models[name] || createStubModel(name);
+      this.models[name] = model;
+      return model;
+    },
+    asPromise() {
+      return Promise.resolve(this);
+    }
+  };
+}
+
+// Inserts like a collection with a unique `pageViewId` + `index` index
+function createOccurrenceStore() {
+  const keys = new Set();
+  return {
+    keys,
+    model: {
+      bulkWrite: async function(ops, options) {
+        assert.deepEqual(options, { ordered: false });
+        const upsertedIds = {};
+        ops.forEach((op, index) => {
+          const key = `${op.updateOne.filter.pageViewId}:${op.updateOne.filter.index}`;
+          if (!keys.has(key)) {
+            keys.add(key);
+            upsertedIds[index] = key;
+          }
+        });
+        return { upsertedIds };
+      }
+    }
+  };
+}
+
+function createStubModel(name) {
+  if (name === 'RateLimit') {
+    return {
+      findOneAndUpdate: async function(filter, update) {
+        return { key: filter.key, count: update.$inc.count };
+      }
+    };
+  }
+  if (name === 'TrackEvent') {
+    return {
+      bulkWrite: async function() {
+        return {};
       }
     };
+  }
+  if (name === 'TrackingSalt') {
+    return {
+      findOneAndUpdate: async function(filter) {
+        return { day: filter.day, salt: 'test_salt' };
+      }
+    };
+  }
+
+  return {
+    updateOne: async function() {
+      return { matchedCount: 1 };
+    }
+  };
+}
 
-    const res1 = createResponse();
-    await trackHandler(req, res1);
+function callNetlifyHandler(req, res) {
+  const headers = {};
+  const geo = {};
+  const vercelGeo = { ...req.geo };
+  for (const [name, value] of Object.entries(req.headers || {})) {
+    const match = /^x-vercel-ip-(.+)$/.exec(name);
+    if (match) {
+      vercelGeo[match[1].replace(/-(\w)/g, (m, c) => c.toUpperCase())] = value;
+    } else if (name === 'x-forwarded-for') {
+      headers['x-nf-client-connection-ip'] = value.split(',')[0].trim();
+    } else {
+      headers[name] = value;
+    }
+  }
+  if (vercelGeo.city) {
+    geo.city = vercelGeo.city;
+  }
+  if (vercelGeo.country) {
+    geo.country = { code: vercelGeo.country };
+  }
+  if (vercelGeo.countryRegion) {
+    geo.subdivision = { code: vercelGeo.countryRegion };
+  }
+  for (const key of ['latitude', 'longitude', 'timezone']) {
+    if (vercelGeo[key]) {
+      geo[key] = vercelGeo[key];
+    }
+  }
+  if (Object.keys(geo).length > 0) {
+    headers['x-nf-geo'] = Buffer.from(JSON.stringify(geo)).toString('base64');
+  }
 
-    const res2 = createResponse();
-    await trackHandler({
-      ...req,
-      body: {
-        ...req.body,
-        pageViewId: 'pv_track_2',
-        sequence: 2
+  const event = { httpMethod: req.method, headers, body: null, isBase64Encoded: false };
+  if (Buffer.isBuffer(req.body)) {
+    event.body = req.body.toString('base64');
+    event.isBase64Encoded = true;
+  } else if (typeof req.body === 'string') {
+    event.body = req.body;
+  } else if (req.body != null) {
+    event.body = JSON.stringify(req.body);
+  }
+
+  return netlifyTrack.handler(event, {}).then(response => {
+    for (const [name, value] of Object.entries(response.headers)) {
+      if (name !== 'Content-Type') {
+        res.setHeader(name, value);
       }
-    }, res2);
-
-    assert.equal(createConnectionCalls, 1);
-    assert.equal(res1.statusCode, 202);
-    assert.equal(res2.statusCode, 202);
-    assert.equal(updates.length, 2);
-    assert.deepEqual(updates[0].filter, { pageViewId: 'pv_track_1' });
-    assert.equal(updates[0].update.$set.requestMeta.ipAddress, '198.51.100.7');
-    assert.deepEqual(updates[0].update.$set.requestMeta.ipGeolocation, {
-      city: 'Atlanta',
-      country: 'US',
-      countryRegion: 'GA',
-      region: 'iad1',
-      latitude: '33.7490',
-      longitude: '-84.3880',
-      timezone: 'America/New_York'
-    });
-    assert.equal(updates[0].options.upsert, true);
-    assert.equal(updates[0].options.new, true);
-    assert.equal(updates[0].options.setDefaultsOnInsert, true);
+    }
+    res.status(response.statusCode);
+    if (response.body !== '') {
+      res.json(JSON.parse(response.body));
+    }
   });
-});
+}
 
 function createResponse() {
   return {
@@ -182,6 +1473,9 @@ function createResponse() {
     json(body) {
       this.body = body;
       return this;
+    },
+    end() {
+      return this;
     }
   };
 }
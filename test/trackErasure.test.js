@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const trackErasureHandler = require('../api/trackErasure');
+
+describe('api/trackErasure', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalAdminKey = process.env.TRACK_ADMIN_API_KEY;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.TRACK_ADMIN_API_KEY = 'admin_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('TRACK_ADMIN_API_KEY', originalAdminKey);
+    resetConnection();
+  });
+
+  it('requires the admin API key', async function() {
+    const res = createResponse();
+
+    await trackErasureHandler({
+      method: 'DELETE',
+      headers: {},
+      query: { sessionId: 'session_1' }
+    }, res);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('requires a sessionId', async function() {
+    const res = createResponse();
+
+    await trackErasureHandler({
+      method: 'DELETE',
+      headers: { authorization: 'Bearer admin_secret' },
+      query: {},
+      body: { sessionId: '' }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('deletes every page view, event and the session rollup', async function() {
+    const deletes = [];
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            deleteMany: async function(filter) {
+              deletes.push({ name, filter });
+              return { deletedCount: name === 'PageView' ? 3 : name === 'TrackEvent' ? 5 : 1 };
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackErasureHandler({
+      method: 'DELETE',
+      headers: { authorization: 'Bearer admin_secret' },
+      body: '{"sessionId":"session_1"}'
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(deletes, [
+      { name: 'PageView', filter: { sessionId: 'session_1' } },
+      { name: 'TrackEvent', filter: { sessionId: 'session_1' } },
+      { name: 'Session', filter: { sessionId: 'session_1' } }
+    ]);
+    assert.deepEqual(res.body, {
+      ok: true,
+      sessionId: 'session_1',
+      deleted: { pageViews: 3, events: 5, sessions: 1 }
+    });
+  });
+});
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
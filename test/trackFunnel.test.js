@@ -0,0 +1,260 @@
+'use strict';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const funnels = require('../src/tracking/funnels');
+const trackFunnelHandler = require('../api/trackFunnel');
+
+describe('api/trackFunnel', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalReportKey = process.env.TRACK_REPORT_API_KEY;
+  const originalFunnels = process.env.TRACK_FUNNELS;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.TRACK_REPORT_API_KEY = 'report_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('TRACK_REPORT_API_KEY', originalReportKey);
+    restoreEnv('TRACK_FUNNELS', originalFunnels);
+    resetConnection();
+  });
+
+  it('rejects requests without the report API key', async function() {
+    const res = createResponse();
+
+    await trackFunnelHandler({ method: 'GET', headers: {}, query: {} }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+  });
+
+  it('loads funnels from TRACK_FUNNELS and validates them', function() {
+    process.env.TRACK_FUNNELS = JSON.stringify([
+      { name: 'docs', steps: [{ name: 'landing', path: '/docs/*' }, { name: 'install', event: 'copy_install_command' }] },
+      { name: 'purchase', steps: [{ name: 'pricing', path: '/pricing.html' }, { name: 'buy', path: ['/buy', '/buy.html'] }] }
+    ]);
+
+    const loaded = funnels.getFunnels();
+    assert.deepEqual(loaded.map(funnel => funnel.name), ['docs', 'purchase']);
+    assert.deepEqual(loaded[0].steps[0], { name: 'landing', path: ['/docs/*'] });
+    assert.equal(loaded[1].steps.length, 2);
+
+    process.env.TRACK_FUNNELS = '{';
+    assert.throws(() => funnels.getFunnels(), /TRACK_FUNNELS/);
+    assert.throws(() => funnels.parseFunnels([{ name: 'x', steps: [{ name: 'a', path: '/' }] }]), /2 to 10 steps/);
+    assert.throws(() => funnels.parseFunnels([{ name: 'x', steps: [{ name: 'a', path: '/' }, { name: 'b' }] }]), /`path` or an `event`/);
+    assert.throws(() => funnels.parseFunnels([{ name: 'x', steps: [{ name: 'a', path: 'docs' }, { name: 'b', path: '/' }] }]), /must start with/);
+  });
+
+  it('matches path patterns exactly, with * as a wildcard', function() {
+    const regex = funnels.pathPatternToRegExp(['/', '/docs/*.html']);
+
+    assert.ok(regex.test('/'));
+    assert.ok(regex.test('/docs/getting-started.html'));
+    assert.ok(!regex.test('/pricing.html'));
+    assert.ok(!regex.test('/docs/intro.htm'));
+    assert.ok(!regex.test('/docs/intro.html/x'));
+  });
+
+  it('orders steps per session and segments by first-touch utm_source', function() {
+    const from = new Date('2026-03-01T00:00:00.000Z');
+    const to = new Date('2026-03-31T00:00:00.000Z');
+    const pipeline = funnels.buildFunnelPipeline(funnels.DEFAULT_FUNNELS[0], { siteId: 'mongoosejs', from, to, includeBots: false }, 'trackevents', 'sessions');
+
+    assert.equal(pipeline[0].$match.siteId, 'mongoosejs');
+    assert.deepEqual(pipeline[0].$match.firstSeenAt, { $gte: from, $lt: to });
+    assert.deepEqual(pipeline[0].$match.sessionId, { $ne: null });
+    assert.deepEqual(pipeline[0].$match.isBot, { $ne: true });
+    assert.equal(pipeline[0].$match.$or.length, 3);
+    assert.deepEqual(pipeline[1].$project.step3, { $literal: null });
+
+    const events = pipeline[2].$unionWith;
+    assert.equal(events.coll, 'trackevents');
+    assert.deepEqual(events.pipeline[0].$match, {
+      siteId: 'mongoosejs',
+      occurredAt: { $gte: from, $lt: to },
+      sessionId: { $ne: null },
+      name: { $in: ['pricing_details_seen', 'checkout_started'] },
+      isBot: { $ne: true }
+    });
+    assert.deepEqual(events.pipeline[1].$project.step3, { $cond: [{ $eq: ['$name', 'checkout_started'] }, '$occurredAt', null] });
+    assert.deepEqual(pipeline[3], { $sort: { sessionId: 1, at: 1 } });
+
+    const reachedPricing = pipeline.find(stage => stage.$set && stage.$set.reached1).$set.reached1;
+    assert.deepEqual(reachedPricing.$cond[0], { $eq: ['$reached0', null] });
+
+    const segments = pipeline[pipeline.length - 2].$group;
+    assert.equal(segments._id.$ifNull[2], '(none)');
+    assert.deepEqual(Object.keys(segments), ['_id', 'step0', 'step1', 'step2', 'step3']);
+    assert.deepEqual(pipeline[1].$project.utmSource, { $ifNull: ['$utm.utm_source', '(none)'] });
+  });
+
+  it('can credit the campaign that first brought the visitor', function() {
+    const pipeline = funnels.buildFunnelPipeline(funnels.DEFAULT_FUNNELS[0], {
+      siteId: 'mongoosestudio',
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-03-31T00:00:00.000Z'),
+      attribution: 'visitor',
+      includeBots: false
+    }, 'trackevents', 'sessions');
+
+    // Page views without a visitor id fall back to their own campaign
+    assert.deepEqual(pipeline[1].$project.utmSource, {
+      $cond: [
+        { $eq: [{ $ifNull: ['$visitorId', null] }, null] },
+        { $ifNull: ['$utm.utm_source', '(none)'] },
+        { $ifNull: ['$firstTouch.utm.utm_source', '(none)'] }
+      ]
+    });
+
+    const now = new Date('2026-03-15T00:00:00.000Z');
+    assert.equal(trackFunnelHandler._test.parseFunnelQuery({}, funnels.DEFAULT_FUNNELS, now).params.attribution, 'session');
+    assert.ok(trackFunnelHandler._test.parseFunnelQuery({ attribution: 'last_touch' }, funnels.DEFAULT_FUNNELS, now).error);
+  });
+
+  it('segments by the session landing page even when it is not a funnel step', function() {
+    const pipeline = funnels.buildFunnelPipeline(funnels.DEFAULT_FUNNELS[0], {
+      siteId: 'mongoosestudio',
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-03-31T00:00:00.000Z'),
+      attribution: 'session',
+      includeBots: false
+    }, 'trackevents', 'sessions');
+
+    // A session that lands on /docs?utm_source=hn and then goes to / only has
+    // its / page view matched, so the source has to come from the session
+    assert.ok(!pipeline[0].$match.$or.some(condition => condition.path.test('/docs')));
+    const lookup = pipeline.find(stage => stage.$lookup).$lookup;
+    assert.deepEqual(lookup, {
+      from: 'sessions',
+      localField: '_id',
+      foreignField: 'sessionId',
+      pipeline: [{ $project: { _id: 0, utmSource: { $ifNull: ['$attribution.utm.utm_source', '(none)'] } } }],
+      as: 'session'
+    });
+    const segments = pipeline[pipeline.length - 2].$group;
+    assert.deepEqual(segments._id.$ifNull[0], { $first: '$session.utmSource' });
+
+    const visitorPipeline = funnels.buildFunnelPipeline(funnels.DEFAULT_FUNNELS[0], {
+      siteId: 'mongoosestudio',
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-03-31T00:00:00.000Z'),
+      attribution: 'visitor',
+      includeBots: false
+    }, 'trackevents', 'sessions');
+    assert.deepEqual(visitorPipeline.find(stage => stage.$lookup).$lookup.pipeline[0].$project.utmSource, {
+      $cond: [
+        { $eq: [{ $ifNull: ['$visitorId', null] }, null] },
+        { $ifNull: ['$attribution.utm.utm_source', '(none)'] },
+        { $ifNull: ['$firstTouch.utm.utm_source', '(none)'] }
+      ]
+    });
+  });
+
+  it('reports conversion and drop-off per step', async function() {
+    let pipeline = null;
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            collection: { collectionName: name.toLowerCase() + 's' },
+            aggregate(stages) {
+              pipeline = stages;
+              return {
+                allowDiskUse: () => Promise.resolve([
+                  { _id: '(none)', step0: 80, step1: 40, step2: 10, step3: 4 },
+                  { _id: 'newsletter', step0: 20, step1: 15, step2: 5, step3: 2 }
+                ])
+              };
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackFunnelHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer report_secret' },
+      query: { funnel: 'purchase', from: '2026-03-01T00:00:00.000Z', to: '2026-03-31T00:00:00.000Z', limit: '1' }
+    }, res);
+
+    assert.equal(pipeline[2].$unionWith.coll, 'trackevents');
+    assert.equal(pipeline.find(stage => stage.$lookup).$lookup.from, 'sessions');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.site, 'mongoosestudio');
+    assert.equal(res.body.funnel, 'purchase');
+    assert.equal(res.body.attribution, 'session');
+    assert.deepEqual(res.body.range, {
+      from: '2026-03-01T00:00:00.000Z',
+      to: '2026-03-31T00:00:00.000Z',
+      includeBots: false
+    });
+    assert.deepEqual(res.body.steps, [
+      { name: 'home', sessions: 100, conversionRate: 1, overallConversionRate: 1, dropOff: 0 },
+      { name: 'pricing', sessions: 55, conversionRate: 0.55, overallConversionRate: 0.55, dropOff: 45 },
+      { name: 'buy', sessions: 15, conversionRate: 0.2727, overallConversionRate: 0.15, dropOff: 40 },
+      { name: 'checkout', sessions: 6, conversionRate: 0.4, overallConversionRate: 0.06, dropOff: 9 }
+    ]);
+    assert.equal(res.body.segments.length, 1);
+    assert.equal(res.body.segments[0].utmSource, '(none)');
+    assert.equal(res.body.segments[0].steps[3].sessions, 4);
+  });
+
+  it('returns 400 for unknown funnels and invalid ranges', async function() {
+    const res = createResponse();
+    await trackFunnelHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer report_secret' },
+      query: { funnel: 'signup' }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Unknown funnel "signup", must be one of: purchase');
+
+    const { parseFunnelQuery } = trackFunnelHandler._test;
+    const now = new Date('2026-03-15T00:00:00.000Z');
+    assert.equal(parseFunnelQuery({}, funnels.DEFAULT_FUNNELS, now).params.from.toISOString(), '2026-02-13T00:00:00.000Z');
+    assert.ok(parseFunnelQuery({ from: '2026-03-10', to: '2026-03-01' }, funnels.DEFAULT_FUNNELS, now).error);
+    assert.ok(parseFunnelQuery({ limit: '500' }, funnels.DEFAULT_FUNNELS, now).error);
+    assert.ok(parseFunnelQuery({ site: 'unknown' }, funnels.DEFAULT_FUNNELS, now).error);
+  });
+});
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
@@ -0,0 +1,233 @@
+'use strict';
+
+const EventEmitter = require('events');
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const trackHandler = require('../api/track');
+const trackLiveHandler = require('../api/trackLive');
+
+describe('api/trackLive', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalReportKey = process.env.TRACK_REPORT_API_KEY;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.TRACK_REPORT_API_KEY = 'report_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('TRACK_REPORT_API_KEY', originalReportKey);
+    resetConnection();
+  });
+
+  it('rejects requests without the report API key', async function() {
+    const res = createResponse();
+
+    await trackLiveHandler({ method: 'GET', headers: {}, query: {} }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+  });
+
+  it('only counts recent page views that have not ended', function() {
+    const { buildActiveFilter, parseLiveQuery } = trackLiveHandler._test;
+    const now = new Date('2026-03-15T12:00:00.000Z');
+
+    assert.deepEqual(buildActiveFilter(parseLiveQuery({}).params, now), {
+      siteId: { $in: ['mongoosestudio', null] },
+      lastSeenAt: { $gte: new Date('2026-03-15T11:59:15.000Z') },
+      visibilityState: { $ne: 'hidden' },
+      reason: { $nin: ['beforeunload', 'pagehide', 'route_change'] },
+      isBot: { $ne: true }
+    });
+    assert.deepEqual(buildActiveFilter(parseLiveQuery({ site: 'mongoosejs', includeBots: 'true' }).params, now), {
+      siteId: 'mongoosejs',
+      lastSeenAt: { $gte: new Date('2026-03-15T11:59:15.000Z') },
+      visibilityState: { $ne: 'hidden' },
+      reason: { $nin: ['beforeunload', 'pagehide', 'route_change'] }
+    });
+    assert.ok(parseLiveQuery({ site: 'unknown' }).error);
+  });
+
+  it('counts a page view again once it is visible after being hidden', function() {
+    const { buildActiveFilter, parseLiveQuery } = trackLiveHandler._test;
+    const { buildPageViewUpdate } = trackHandler._test;
+    const filter = buildActiveFilter(parseLiveQuery({}).params, new Date('2026-03-15T12:00:00.000Z'));
+    const pageView = {};
+    const flush = (sequence, reason, visibilityState, isFinal, at) => {
+      const { update } = buildPageViewUpdate({
+        pageViewId: 'pv_tabs',
+        path: '/',
+        elapsedMs: sequence * 1000,
+        viewport: { width: 800, height: 600 },
+        sequence,
+        reason,
+        visibilityState,
+        isFinal
+      }, {}, new Date(at));
+      Object.assign(pageView, update.$set);
+    };
+
+    flush(1, 'init', 'visible', false, '2026-03-15T11:59:40.000Z');
+    assert.ok(matches(pageView, filter));
+    flush(2, 'visibility_hidden', 'hidden', true, '2026-03-15T11:59:45.000Z');
+    assert.ok(!matches(pageView, filter));
+    flush(3, 'visibility_visible', 'visible', false, '2026-03-15T11:59:55.000Z');
+    assert.equal(pageView.isFinal, true);
+    assert.ok(matches(pageView, filter));
+    flush(4, 'pagehide', 'visible', true, '2026-03-15T11:59:58.000Z');
+    assert.ok(!matches(pageView, filter));
+  });
+
+  it('swaps the previous route for the new one on a client-side route change', function() {
+    const { buildActiveFilter, parseLiveQuery } = trackLiveHandler._test;
+    const { buildPageViewUpdate } = trackHandler._test;
+    const filter = buildActiveFilter(parseLiveQuery({}).params, new Date('2026-03-15T12:00:00.000Z'));
+    const flush = (pageView, reason, isFinal) => {
+      const { update } = buildPageViewUpdate({
+        pageViewId: pageView.pageViewId,
+        path: pageView.path,
+        elapsedMs: 1000,
+        viewport: { width: 800, height: 600 },
+        sequence: 1,
+        reason,
+        visibilityState: 'visible',
+        isFinal
+      }, {}, new Date('2026-03-15T11:59:50.000Z'));
+      Object.assign(pageView, update.$set);
+    };
+    const previous = { pageViewId: 'pv_home' };
+    const next = { pageViewId: 'pv_movie' };
+
+    flush(Object.assign(previous, { path: '/imdb' }), 'route_change', true);
+    flush(Object.assign(next, { path: '/imdb/movie/1' }), 'route_start', false);
+    assert.ok(!matches(previous, filter));
+    assert.ok(matches(next, filter));
+  });
+
+  it('streams active page views as server-sent events until the client disconnects', async function() {
+    const finds = [];
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            find: async function(filter, projection, options) {
+              finds.push({ filter, projection, options });
+              return [{
+                pageViewId: 'pv_live',
+                path: '/changelog/v1',
+                pageType: 'changelog',
+                referrer: 'https://news.ycombinator.com/',
+                elapsedMs: 30000,
+                firstSeenAt: new Date('2026-03-15T11:59:30.000Z'),
+                lastSeenAt: new Date('2026-03-15T12:00:00.000Z'),
+                requestMeta: { ipGeolocation: { country: 'DE' } }
+              }];
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    res.write = function(chunk) {
+      this.chunks.push(chunk);
+      if (chunk.startsWith('event:')) {
+        this.emit('close');
+      }
+    };
+
+    await trackLiveHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer report_secret' },
+      query: {}
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+    assert.equal(res.headers['Cache-Control'], 'no-cache, no-transform');
+    assert.equal(res.chunks[0], 'retry: 1000\n\n');
+    assert.equal(finds.length, 1);
+    assert.deepEqual(finds[0].options, { sort: { lastSeenAt: -1 }, limit: 500 });
+
+    const [event, data] = res.chunks[1].trim().split('\n');
+    assert.equal(event, 'event: active');
+    assert.deepEqual(JSON.parse(data.slice('data: '.length)), {
+      activePageViews: 1,
+      pageViews: [{
+        pageViewId: 'pv_live',
+        path: '/changelog/v1',
+        pageType: 'changelog',
+        country: 'DE',
+        referrer: 'https://news.ycombinator.com/',
+        elapsedMs: 30000,
+        firstSeenAt: '2026-03-15T11:59:30.000Z',
+        lastSeenAt: '2026-03-15T12:00:00.000Z'
+      }]
+    });
+    assert.equal(res.ended, true);
+  });
+});
+
+// Just the query operators `buildActiveFilter()` uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key] === undefined ? null : doc[key];
+    if (condition == null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        case '$ne': return value !== operand;
+        case '$gte': return value >= operand;
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  });
+}
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return Object.assign(new EventEmitter(), {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    chunks: [],
+    ended: false,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    }
+  });
+}
@@ -0,0 +1,366 @@
+'use strict';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const trackReportHandler = require('../api/trackReport');
+
+describe('api/trackReport', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalReportKey = process.env.TRACK_REPORT_API_KEY;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.TRACK_REPORT_API_KEY = 'report_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('TRACK_REPORT_API_KEY', originalReportKey);
+    resetConnection();
+  });
+
+  it('rejects requests without the report API key', async function() {
+    const res = createResponse();
+
+    await trackReportHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer wrong' },
+      query: {}
+    }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+    assert.deepEqual(res.body, { ok: false, error: 'Unauthorized' });
+  });
+
+  it('validates date range, interval and limit', function() {
+    const now = new Date('2026-03-15T12:00:00.000Z');
+    const { parseReportQuery } = trackReportHandler._test;
+
+    const { params } = parseReportQuery({}, now);
+    assert.equal(params.to.toISOString(), '2026-03-15T12:00:00.000Z');
+    assert.equal(params.from.toISOString(), '2026-03-08T12:00:00.000Z');
+    assert.equal(params.interval, 'day');
+    assert.equal(params.limit, 10);
+    assert.equal(params.pageType, null);
+    assert.equal(params.siteId, 'mongoosestudio');
+
+    assert.equal(parseReportQuery({ site: 'mongoosejs' }, now).params.siteId, 'mongoosejs');
+    assert.ok(parseReportQuery({ site: 'unknown' }, now).error);
+    assert.ok(parseReportQuery({ from: 'not a date' }, now).error);
+    assert.ok(parseReportQuery({ from: '2026-03-10', to: '2026-03-01' }, now).error);
+    assert.ok(parseReportQuery({ from: '2020-01-01', to: '2026-01-01' }, now).error);
+    assert.ok(parseReportQuery({ interval: 'month' }, now).error);
+    assert.ok(parseReportQuery({ limit: '0' }, now).error);
+    assert.equal(parseReportQuery({ interval: 'week', limit: '25', pageType: 'pricing' }, now).params.limit, 25);
+  });
+
+  it('filters by site, time range and pageType and buckets by week', function() {
+    const from = new Date('2026-03-01T00:00:00.000Z');
+    const to = new Date('2026-03-15T00:00:00.000Z');
+    const pipeline = trackReportHandler._test.buildReportPipeline({
+      siteId: 'mongoosejs',
+      from,
+      to,
+      interval: 'week',
+      limit: 5,
+      pageType: 'pricing',
+      includeBots: false
+    });
+
+    assert.deepEqual(pipeline[0], {
+      $match: { siteId: 'mongoosejs', firstSeenAt: { $gte: from, $lt: to }, pageType: 'pricing', isBot: { $ne: true } }
+    });
+
+    const facet = pipeline[pipeline.length - 1].$facet;
+    assert.deepEqual(facet.series[0].$group._id, {
+      $dateTrunc: { date: '$firstSeenAt', unit: 'week', timezone: 'UTC', startOfWeek: 'monday' }
+    });
+    assert.deepEqual(facet.topCountries[0], {
+      $match: { 'requestMeta.ipGeolocation.country': { $nin: [null, ''] } }
+    });
+    assert.deepEqual(facet.topPaths[facet.topPaths.length - 1], { $limit: 5 });
+    assert.equal('webVitals' in facet, false);
+
+    const webVitals = trackReportHandler._test.buildWebVitalsPipeline({
+      siteId: 'mongoosejs',
+      from,
+      to,
+      interval: 'week',
+      limit: 5,
+      pageType: 'pricing',
+      includeBots: false
+    });
+    assert.deepEqual(webVitals[0], {
+      $match: {
+        siteId: 'mongoosejs',
+        firstSeenAt: { $gte: from, $lt: to },
+        pageType: 'pricing',
+        isBot: { $ne: true },
+        'webVitals.navigationType': { $ne: null }
+      }
+    });
+    assert.deepEqual(webVitals[1].$group.lcpMs, {
+      $percentile: { input: '$webVitals.lcpMs', p: [0.75], method: 'approximate' }
+    });
+    assert.deepEqual(webVitals[webVitals.length - 1], { $limit: 5 });
+  });
+
+  it('runs the aggregation and formats the report', async function() {
+    let pipeline = null;
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            aggregate(stages) {
+              if (name === 'DailyPageStats') {
+                return { allowDiskUse: () => Promise.resolve([]) };
+              }
+              if (stages[stages.length - 1].$facet == null) {
+                return {
+                  allowDiskUse: () => Promise.resolve([{
+                    _id: '/pricing.html',
+                    pageViews: 2,
+                    lcpMs: [2480.6],
+                    cls: [0.04219],
+                    inpMs: [null],
+                    fcpMs: [1210.2],
+                    ttfbMs: [320]
+                  }])
+                };
+              }
+              pipeline = stages;
+              return {
+                allowDiskUse(value) {
+                  assert.equal(value, true);
+                  return Promise.resolve([{
+                    totals: [{
+                      _id: null,
+                      pageViews: 3,
+                      uniqueSessions: 2,
+                      avgElapsedMs: 1200.4,
+                      avgEngagedMs: 840.6,
+                      engagedPageViews: 3,
+                      avgMaxScrollDepthPercent: 66.6
+                    }],
+                    series: [{
+                      _id: new Date('2026-03-02T00:00:00.000Z'),
+                      pageViews: 3,
+                      uniqueSessions: 2,
+                      avgElapsedMs: 1200.4,
+                      avgEngagedMs: 840.6,
+                      engagedPageViews: 3
+                    }],
+                    scrollDepth: [{ _id: 50, pageViews: 2 }, { _id: 75, pageViews: 1 }],
+                    topPaths: [{ _id: '/pricing.html', pageViews: 2, uniqueSessions: 2 }],
+                    topReferrers: [{ _id: 'www.google.com', pageViews: 1, uniqueSessions: 1 }],
+                    topCampaigns: [],
+                    topCountries: [{ _id: 'US', pageViews: 3, uniqueSessions: 2 }]
+                  }]);
+                }
+              };
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackReportHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer report_secret' },
+      query: { from: '2026-03-01T00:00:00.000Z', to: '2026-03-08T00:00:00.000Z' }
+    }, res);
+
+    assert.ok(pipeline);
+    // Page views stored before sites existed belong to the default site
+    assert.deepEqual(pipeline[0].$match.siteId, { $in: ['mongoosestudio', null] });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      site: 'mongoosestudio',
+      range: {
+        from: '2026-03-01T00:00:00.000Z',
+        to: '2026-03-08T00:00:00.000Z',
+        interval: 'day',
+        pageType: null,
+        includeBots: false
+      },
+      totals: { pageViews: 3, uniqueSessions: 2, avgElapsedMs: 1200, avgEngagedMs: 841, avgMaxScrollDepthPercent: 67 },
+      series: [{ start: '2026-03-02T00:00:00.000Z', pageViews: 3, uniqueSessions: 2, avgElapsedMs: 1200, avgEngagedMs: 841 }],
+      scrollDepth: [{ minPercent: 50, pageViews: 2 }, { minPercent: 75, pageViews: 1 }],
+      topPaths: [{ value: '/pricing.html', pageViews: 2, uniqueSessions: 2 }],
+      topReferrers: [{ value: 'www.google.com', pageViews: 1, uniqueSessions: 1 }],
+      topCampaigns: [],
+      topCountries: [{ value: 'US', pageViews: 3, uniqueSessions: 2 }],
+      webVitals: [{
+        path: '/pricing.html',
+        pageViews: 2,
+        p75: { lcpMs: 2481, cls: 0.042, inpMs: null, fcpMs: 1210, ttfbMs: 320 }
+      }]
+    });
+  });
+
+  it('still reports everything but web vitals on MongoDB versions without $percentile', async function() {
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            aggregate(stages) {
+              if (name === 'DailyPageStats') {
+                return { allowDiskUse: () => Promise.resolve([]) };
+              }
+              if (stages[stages.length - 1].$facet == null) {
+                const err = new Error('unknown group operator \'$percentile\'');
+                err.code = 15952;
+                return { allowDiskUse: () => Promise.reject(err) };
+              }
+              return { allowDiskUse: () => Promise.resolve([{ totals: [{ _id: null, pageViews: 1, uniqueSessions: 1 }] }]) };
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackReportHandler({
+      method: 'GET',
+      headers: { authorization: 'Bearer report_secret' },
+      query: { from: '2026-03-01T00:00:00.000Z', to: '2026-03-08T00:00:00.000Z' }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.totals.pageViews, 1);
+    assert.equal(res.body.webVitals, null);
+  });
+
+  it('reads ranges older than the retention period from daily rollups', function() {
+    const { buildRollupPipeline, getRollupRange, mergeRollupResult } = trackReportHandler._test;
+    const cutoff = new Date('2026-03-05T00:00:00.000Z');
+    const params = {
+      siteId: 'mongoosejs',
+      from: new Date('2026-03-01T12:00:00.000Z'),
+      to: new Date('2026-03-08T00:00:00.000Z'),
+      interval: 'day',
+      limit: 2,
+      pageType: null,
+      includeBots: false
+    };
+
+    const range = getRollupRange(params, cutoff);
+    assert.deepEqual(range, { from: new Date('2026-03-01T00:00:00.000Z'), to: cutoff });
+    assert.equal(getRollupRange({ ...params, from: cutoff }, cutoff), null);
+    assert.equal(getRollupRange(params, null), null);
+
+    const pipeline = buildRollupPipeline(params, range);
+    assert.deepEqual(pipeline[0], { $match: { siteId: 'mongoosejs', day: { $gte: range.from, $lt: cutoff }, isBot: { $ne: true } } });
+    assert.deepEqual(pipeline[1].$facet.topReferrers[0], { $match: { referrerDomain: { $ne: '' } } });
+
+    const merged = mergeRollupResult({
+      totals: [{
+        _id: null,
+        pageViews: 2,
+        uniqueSessions: 2,
+        avgElapsedMs: 1000,
+        avgEngagedMs: 600,
+        engagedPageViews: 1,
+        avgMaxScrollDepthPercent: 50
+      }],
+      series: [{
+        _id: new Date('2026-03-06T00:00:00.000Z'),
+        pageViews: 2,
+        uniqueSessions: 2,
+        avgElapsedMs: 1000,
+        avgEngagedMs: 600,
+        engagedPageViews: 1
+      }],
+      scrollDepth: [{ _id: 50, pageViews: 2 }],
+      topPaths: [{ _id: '/pricing.html', pageViews: 2, uniqueSessions: 2 }],
+      topReferrers: [],
+      topCampaigns: [],
+      topCountries: []
+    }, {
+      totals: [{
+        _id: null,
+        pageViews: 6,
+        uniqueSessions: 4,
+        elapsedMsTotal: 12000,
+        engagedMsTotal: 3000,
+        engagedPageViews: 3,
+        scrollDepthTotal: 150
+      }],
+      series: [{
+        _id: new Date('2026-03-02T00:00:00.000Z'),
+        pageViews: 6,
+        uniqueSessions: 4,
+        elapsedMsTotal: 12000,
+        engagedMsTotal: 3000,
+        engagedPageViews: 3
+      }],
+      scrollDepth: [{ _id: '0', pageViews: 3 }, { _id: '50', pageViews: 3 }, { _id: 'unknown', pageViews: 0 }],
+      topPaths: [{ _id: '/', pageViews: 4, uniqueSessions: 3 }, { _id: '/pricing.html', pageViews: 2, uniqueSessions: 1 }],
+      topReferrers: [{ _id: 'www.google.com', pageViews: 1, uniqueSessions: 1 }],
+      topCampaigns: [],
+      topCountries: []
+    }, params);
+
+    const report = trackReportHandler._test.formatReport(merged, params);
+    // Engaged time is averaged only over page views that measured it
+    assert.deepEqual(report.totals, {
+      pageViews: 8,
+      uniqueSessions: 6,
+      avgElapsedMs: 1750,
+      avgEngagedMs: 900,
+      avgMaxScrollDepthPercent: 31
+    });
+    assert.deepEqual(report.series.map(row => [row.start, row.pageViews, row.avgElapsedMs, row.avgEngagedMs]), [
+      ['2026-03-02T00:00:00.000Z', 6, 2000, 1000],
+      ['2026-03-06T00:00:00.000Z', 2, 1000, 600]
+    ]);
+    assert.deepEqual(report.scrollDepth, [{ minPercent: 0, pageViews: 3 }, { minPercent: 50, pageViews: 5 }]);
+    assert.deepEqual(report.topPaths, [
+      { value: '/', pageViews: 4, uniqueSessions: 3 },
+      { value: '/pricing.html', pageViews: 4, uniqueSessions: 3 }
+    ]);
+    assert.deepEqual(report.topReferrers, [{ value: 'www.google.com', pageViews: 1, uniqueSessions: 1 }]);
+  });
+});
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const retention = require('../src/tracking/retention');
+const trackRetentionHandler = require('../api/trackRetention');
+
+describe('api/trackRetention', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalCronSecret = process.env.CRON_SECRET;
+  const originalRetentionDays = process.env.TRACK_RETENTION_DAYS;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.CRON_SECRET = 'cron_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('CRON_SECRET', originalCronSecret);
+    restoreEnv('TRACK_RETENTION_DAYS', originalRetentionDays);
+    resetConnection();
+  });
+
+  it('requires the cron secret', async function() {
+    const res = createResponse();
+
+    await trackRetentionHandler({ method: 'GET', headers: { authorization: 'Bearer wrong' } }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+  });
+
+  it('computes the retention cutoff from TRACK_RETENTION_DAYS', function() {
+    const now = new Date('2026-06-15T18:30:00.000Z');
+
+    assert.equal(retention.getRetentionCutoff(now).toISOString(), '2026-03-17T00:00:00.000Z');
+    process.env.TRACK_RETENTION_DAYS = '30';
+    assert.equal(retention.getRetentionCutoff(now).toISOString(), '2026-05-16T00:00:00.000Z');
+    process.env.TRACK_RETENTION_DAYS = '0';
+    assert.equal(retention.getRetentionCutoff(now), null);
+    process.env.TRACK_RETENTION_DAYS = 'forever';
+    assert.throws(() => retention.getRetentionCutoff(now), /TRACK_RETENTION_DAYS/);
+  });
+
+  it('rolls up each expired day before deleting its page views', async function() {
+    process.env.TRACK_RETENTION_DAYS = '30';
+
+    const remaining = [
+      new Date('2020-01-01T22:00:00.000Z'),
+      new Date('2020-01-01T23:00:00.000Z'),
+      new Date('2020-01-03T01:00:00.000Z')
+    ];
+    const calls = [];
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            collection: { collectionName: name.toLowerCase() },
+            findOne: async function(filter, projection, options) {
+              assert.deepEqual(projection, { firstSeenAt: 1 });
+              assert.deepEqual(options, { sort: { firstSeenAt: 1 } });
+              const oldest = remaining.filter(date => date < filter.firstSeenAt.$lt).sort((a, b) => a - b)[0];
+              return oldest ? { firstSeenAt: oldest } : null;
+            },
+            aggregate(pipeline) {
+              calls.push({ op: 'aggregate', match: pipeline[0].$match, merge: pipeline[pipeline.length - 1].$merge });
+              return { allowDiskUse: () => Promise.resolve([]) };
+            },
+            deleteMany: async function(filter) {
+              calls.push({ op: 'deleteMany', filter });
+              const before = remaining.length;
+              for (let i = remaining.length - 1; i >= 0; --i) {
+                if (remaining[i] >= filter.firstSeenAt.$gte && remaining[i] < filter.firstSeenAt.$lt) {
+                  remaining.splice(i, 1);
+                }
+              }
+              return { deletedCount: before - remaining.length };
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackRetentionHandler({ method: 'GET', headers: { authorization: 'Bearer cron_secret' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.days, [
+      { day: '2020-01-01', pageViews: 2 },
+      { day: '2020-01-03', pageViews: 1 }
+    ]);
+    assert.equal(remaining.length, 0);
+    assert.deepEqual(calls.map(call => call.op), ['aggregate', 'deleteMany', 'aggregate', 'deleteMany']);
+    assert.deepEqual(calls[0].match, {
+      firstSeenAt: { $gte: new Date('2020-01-01T00:00:00.000Z'), $lt: new Date('2020-01-02T00:00:00.000Z') }
+    });
+    assert.deepEqual(calls[0].match, calls[1].filter);
+    assert.equal(calls[0].merge.into, 'dailypagestats');
+    assert.equal(calls[0].merge.whenMatched, 'replace');
+  });
+
+  it('groups page views by site, day, path, country and referrer domain', function() {
+    const day = new Date('2020-01-01T00:00:00.000Z');
+    const pipeline = retention.buildCompactionPipeline({}, day, 'dailypagestats');
+    const group = pipeline[1].$group;
+
+    assert.deepEqual(Object.keys(group._id), ['siteId', 'path', 'pageType', 'country', 'referrerDomain', 'utmCampaign', 'isBot']);
+    assert.deepEqual(group._id.siteId, { $ifNull: ['$siteId', 'mongoosestudio'] });
+    assert.deepEqual(group._id.country, { $ifNull: ['$requestMeta.ipGeolocation.country', ''] });
+    assert.deepEqual(pipeline[2].$project.day, { $literal: day });
+    assert.deepEqual(Object.keys(pipeline[2].$project.scrollDepth), ['0', '25', '50', '75', '100', 'unknown']);
+    assert.deepEqual(pipeline[3].$merge.on, ['siteId', 'day', 'path', 'pageType', 'country', 'referrerDomain', 'utmCampaign', 'isBot']);
+  });
+});
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
@@ -0,0 +1,190 @@
+'use strict';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const { resetConnection } = require('../src/tracking/connection');
+const trackServerEventHandler = require('../api/trackServerEvent');
+
+describe('api/trackServerEvent', function() {
+  const originalCreateConnection = mongoose.createConnection;
+  const originalTrackUri = process.env.TRACK_MONGODB_CONNECTION_STRING;
+  const originalServerEventsKey = process.env.TRACK_SERVER_EVENTS_API_KEY;
+
+  beforeEach(function() {
+    process.env.TRACK_MONGODB_CONNECTION_STRING = 'mongodb://127.0.0.1:27017/track_test';
+    process.env.TRACK_SERVER_EVENTS_API_KEY = 'server_secret';
+  });
+
+  afterEach(function() {
+    mongoose.createConnection = originalCreateConnection;
+    restoreEnv('TRACK_MONGODB_CONNECTION_STRING', originalTrackUri);
+    restoreEnv('TRACK_SERVER_EVENTS_API_KEY', originalServerEventsKey);
+    resetConnection();
+  });
+
+  it('requires the server events API key', async function() {
+    const res = createResponse();
+
+    await trackServerEventHandler({
+      method: 'POST',
+      headers: { authorization: 'Bearer wrong' },
+      body: { eventId: 'evt_1', name: 'checkout_completed' }
+    }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+  });
+
+  it('validates every event in the batch', async function() {
+    const res = createResponse();
+
+    await trackServerEventHandler({
+      method: 'POST',
+      headers: { authorization: 'Bearer server_secret' },
+      body: [
+        { eventId: 'evt_1', name: 'checkout_completed' },
+        { name: 'bad name', occurredAt: '2001-01-01T00:00:00.000Z', properties: { $where: 1 } }
+      ]
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.events.length, 1);
+    assert.equal(res.body.events[0].index, 1);
+    assert.deepEqual(res.body.events[0].fields.map(error => error.field).sort(), [
+      'eventId',
+      'name',
+      'occurredAt',
+      'properties.$where'
+    ]);
+  });
+
+  it('links events to page views and sessions and dedupes by eventId', async function() {
+    const writes = [];
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          const models = {
+            PageView: {
+              find: async function(filter) {
+                assert.deepEqual(filter, { pageViewId: { $in: ['pv_1'] } });
+                return [{ pageViewId: 'pv_1', siteId: 'mongoosejs', sessionId: 'session_from_page_view', path: '/buy.html', pageType: 'buy' }];
+              }
+            },
+            Session: {
+              find: async function(filter) {
+                assert.deepEqual(filter, { sessionId: { $in: ['session_2', 'session_unknown'] } });
+                return [{ sessionId: 'session_2' }];
+              }
+            },
+            TrackEvent: {
+              bulkWrite: async function(ops, options) {
+                assert.deepEqual(options, { ordered: false });
+                writes.push(...ops);
+                // evt_3 was already stored by an earlier delivery
+                return { upsertedIds: { 0: 'id_0', 1: 'id_1' } };
+              }
+            }
+          };
+          this.models[name] = models[name] || {};
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackServerEventHandler({
+      method: 'POST',
+      headers: { authorization: 'Bearer server_secret' },
+      body: JSON.stringify([
+        { eventId: 'evt_1', name: 'checkout_completed', pageViewId: 'pv_1', sessionId: 'ignored', properties: { plan: 'pro' } },
+        { eventId: 'evt_2', name: 'workspace_created', sessionId: 'session_2', occurredAt: new Date(Date.now() - 60000).toISOString() },
+        { eventId: 'evt_3', name: 'license_activated', sessionId: 'session_unknown' }
+      ])
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.results, [
+      { eventId: 'evt_1', duplicate: false, linked: 'pageView' },
+      { eventId: 'evt_2', duplicate: false, linked: 'session' },
+      { eventId: 'evt_3', duplicate: true, linked: null }
+    ]);
+
+    assert.deepEqual(writes[0].updateOne.filter, { eventId: 'evt_1' });
+    assert.equal(writes[0].updateOne.upsert, true);
+    const checkout = writes[0].updateOne.update.$setOnInsert;
+    assert.equal(checkout.source, 'server');
+    assert.equal(checkout.sessionId, 'session_from_page_view');
+    assert.equal(checkout.pageViewId, 'pv_1');
+    assert.equal(checkout.path, '/buy.html');
+    assert.equal(checkout.pageType, 'buy');
+    assert.equal(checkout.siteId, 'mongoosejs');
+    assert.deepEqual(checkout.properties, { plan: 'pro' });
+    assert.equal(writes[2].updateOne.update.$setOnInsert.sessionId, 'session_unknown');
+    assert.equal(writes[2].updateOne.update.$setOnInsert.siteId, 'mongoosestudio');
+  });
+
+  it('treats a duplicate key race as an already stored event', async function() {
+    mongoose.createConnection = function() {
+      return {
+        models: {},
+        model(name) {
+          this.models[name] = {
+            find: async function() {
+              return [];
+            },
+            bulkWrite: async function() {
+              const err = new Error('E11000 duplicate key error');
+              err.writeErrors = [{ index: 0, code: 11000 }];
+              err.result = { upsertedIds: {} };
+              throw err;
+            }
+          };
+        },
+        asPromise() {
+          return Promise.resolve(this);
+        }
+      };
+    };
+
+    const res = createResponse();
+    await trackServerEventHandler({
+      method: 'POST',
+      headers: { authorization: 'Bearer server_secret' },
+      body: { eventId: 'evt_1', name: 'checkout_completed' }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { ok: true, eventId: 'evt_1', duplicate: true, linked: null });
+  });
+});
+
+function restoreEnv(key, value) {
+  if (value === undefined) {
+    delete process.env[key];
+  } else {
+    process.env[key] = value;
+  }
+}
+
+function createResponse() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(key, value) {
+      this.headers[key] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}